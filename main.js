@@ -17,8 +17,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
-    // Example of how to enable mobile controls:
-    // 1. Uncomment the #mobile-controls div in index.html.
+    // Touch devices get the built-in joystick, jump button and drag-to-look automatically
+    // (the `touchControls` option). To wire up your own DOM buttons instead:
+    // 1. Add a #mobile-controls div with the buttons below to index.html.
     // 2. Uncomment the following lines.
     /*
     const mobileControls = {
@@ -34,6 +35,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
         // Create the game viewer instance.
         // Pass `null` for mobileControls if they are not enabled.
+        // An optional 4th argument takes viewer options, e.g.
+        // `{ character: 'female_officer', movementMode: 'camera' }`.
+        // Loading progress is reported to `listeners`, e.g.
+        // `{ listeners: { progress: ({ progress }) => console.log(progress) } }`;
+        // later events can use `gameController.on(...)`.
         const gameController = await createGameViewer(canvas, null /* or mobileControls */, worldUrl);
 
         // For easy debugging, we can attach the controller to the window object.
@@ -0,0 +1,53 @@
+// src/CharacterRegistry.js
+
+/**
+ * The characters bundled with the template, keyed by id.
+ *
+ * URLs are resolved against this module rather than the page, so the viewer keeps
+ * working when it's hosted under a subpath. A registry entry is either a URL string
+ * or `{ url, animationGraph }`, where `animationGraph` overrides the default animation
+ * graph for that character (see animation/AnimationGraphs.js).
+ */
+export const DefaultCharacters = {
+    chicken_guy:    new URL('../assets/characters/chicken_guy.glb', import.meta.url).href,
+    female_officer: new URL('../assets/characters/female_officer.glb', import.meta.url).href,
+    food_worker:    new URL('../assets/characters/food_worker.glb', import.meta.url).href,
+};
+
+/**
+ * Turns a character choice into a concrete `{ id, url, animationGraph }`.
+ * @param {string|object|undefined} choice A registry id, a URL, an entry object,
+ *        or nothing to pick one of the registry's characters at random.
+ * @param {object} [registry] id → URL or entry.
+ * @param {function(): number} [random] Source of randomness for the random pick.
+ * @returns {{id: string, url: string, animationGraph: (object|undefined)}}
+ */
+export function resolveCharacter(choice, registry = DefaultCharacters, random = Math.random) {
+    if (choice === undefined || choice === null) {
+        const ids = Object.keys(registry);
+        if (!ids.length) throw new Error('[CharacterRegistry] No character given and the registry is empty.');
+        choice = ids[Math.floor(random() * ids.length)];
+    }
+
+    if (typeof choice === 'string') {
+        if (Object.prototype.hasOwnProperty.call(registry, choice)) {
+            return { id: choice, ..._normalizeEntry(registry[choice]) };
+        }
+        // Not a known id, so treat it as a URL.
+        return { id: _idFromUrl(choice), url: choice, animationGraph: undefined };
+    }
+
+    const entry = _normalizeEntry(choice);
+    return { id: choice.id || _idFromUrl(entry.url), ...entry };
+}
+
+function _normalizeEntry(entry) {
+    if (typeof entry === 'string') return { url: entry, animationGraph: undefined };
+    if (!entry?.url) throw new Error('[CharacterRegistry] A character entry needs a `url`.');
+    return { url: entry.url, animationGraph: entry.animationGraph };
+}
+
+function _idFromUrl(url) {
+    const file = url.split(/[?#]/)[0].split('/').pop() || url;
+    return file.replace(/\.[^.]+$/, '');
+}
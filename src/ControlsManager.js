@@ -1,138 +1,243 @@
 // src/viewer/ControlsManager.js
 
-export const controlsState = {
-  forward: false,
-  backward: false,
-  left: false,
-  right: false,
-  jump: false,
-  mouseLookActive: false,
-};
-
-// THIS IS THE FIX (Part 1):
-// Declare the event handler variables in the module scope, initially as null.
-// This allows both `initControls` and `destroyControls` to access them.
-let onMouseMoveCallback = null;
-let boundKeyDown = null;
-let boundKeyUp = null;
-let boundMouseDown = null;
-let boundMouseUp = null;
-let boundMouseMove = null;
-let boundContextMenu = null;
-// We'll also need an array to keep track of the mobile button listeners to remove them.
-let mobileListeners = [];
-
-
-function setupKeyEvents() {
-  // Assign the function to the module-scoped variable.
-  boundKeyDown = (e) => {
-    switch (e.code) {
-      case 'KeyW': case 'ArrowUp': controlsState.forward = true; break;
-      case 'KeyS': case 'ArrowDown': controlsState.backward = true; break;
-      case 'KeyA': case 'ArrowLeft': controlsState.left = true; break;
-      case 'KeyD': case 'ArrowRight': controlsState.right = true; break;
-      case 'Space': controlsState.jump = true; break;
+import { GamepadInput } from './GamepadInput.js';
+import { InputBindings, LookMode } from './InputBindings.js';
+import { TouchControls } from './TouchControls.js';
+
+// Keyboard input is page-wide, so only one viewer on the page receives it.
+const instances = new Set();
+let focused = null;
+
+/**
+ * Keyboard, mouse, gamepad, touch and mobile-button input for one viewer.
+ *
+ * Several viewers can share a page, each with its own ControlsManager. Keyboard and
+ * gamepad input only reach the focused one: a viewer takes focus when its canvas or
+ * mobile buttons are pressed, or through `focus()`. The first viewer on the page starts
+ * focused.
+ *
+ * Keys, mouse buttons and gamepad inputs reach the state through an InputBindings action
+ * map. The state holds booleans for the digital controls, `mouseLookActive` while the
+ * 'look' action holds (or has toggled on) pointer lock, `touchLookActive` during a touch
+ * look drag, plus the analog sticks: `moveX`/`moveY` (−1…1, +Y forward; gamepad or touch
+ * joystick) and `lookX`/`lookY` (camera turn rate). Call `update()` once per frame to
+ * poll the gamepad.
+ */
+export class ControlsManager {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [mobileControls] DOM elements for the mobile buttons.
+     * @param {function({movementX: number, movementY: number}): void} [onMouseMove] Called with
+     *        look movement in pixels: pointer-locked mouse moves and touch look drags.
+     * @param {object} [options]
+     * @param {object|false} [options.gamepad] GamepadInput options, or `false` to ignore gamepads.
+     * @param {InputBindings|object} [options.bindings] The action map, or InputBindings options.
+     * @param {boolean|string|object} [options.touch] Show the on-screen TouchControls: 'auto'
+     *        (default) on touch-first devices, `true`/`false`, or TouchControls options.
+     */
+    constructor(canvas, mobileControls, onMouseMove, options = {}) {
+        this.canvas = canvas;
+        this.state = {
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            jump: false,
+            interact: false,
+            sprint: false,
+            mouseLookActive: false,
+            touchLookActive: false,
+            moveX: 0,
+            moveY: 0,
+            lookX: 0,
+            lookY: 0,
+        };
+
+        /** Called with `true`/`false` when this viewer gains or loses keyboard focus. */
+        this.onFocusChange = null;
+        /** Called with the Gamepad when one is connected, and with null when it's unplugged. */
+        this.onGamepadChange = null;
+
+        this.bindings = options.bindings instanceof InputBindings
+            ? options.bindings
+            : new InputBindings(options.bindings);
+        // A control held through a rebinding would never see its release.
+        this._offBindingsChange = this.bindings.on('change', () => this._releaseAll());
+
+        this.gamepad = null;
+        if (options.gamepad !== false) {
+            this.gamepad = new GamepadInput(options.gamepad, this.bindings);
+            this.gamepad.onConnectionChange = (pad) => {
+                this.gamepad.release(this.state);
+                this.onGamepadChange?.(pad);
+            };
+        }
+
+        this._onMouseMove = onMouseMove;
+        this._listeners = [];
+        this._mouseButtons = new Set(); // Buttons pressed on this canvas and not yet released.
+
+        this._setupKeyEvents();
+        this._setupMouseEvents();
+        this._setupButtonEvents(mobileControls);
+        this._setupTouchControls(options.touch ?? 'auto');
+        this._listen(canvas, 'contextmenu', (e) => e.preventDefault());
+
+        instances.add(this);
+        if (!focused) this.focus();
     }
-  };
-  // Assign the function to the module-scoped variable.
-  boundKeyUp = (e) => {
-    switch (e.code) {
-      case 'KeyW': case 'ArrowUp': controlsState.forward = false; break;
-      case 'KeyS': case 'ArrowDown': controlsState.backward = false; break;
-      case 'KeyA': case 'ArrowLeft': controlsState.left = false; break;
-      case 'KeyD': case 'ArrowRight': controlsState.right = false; break;
-      case 'Space': controlsState.jump = false; break;
+
+    /** @returns {boolean} Whether this viewer receives keyboard input. */
+    get isFocused() {
+        return focused === this;
     }
-  };
-  window.addEventListener('keydown', boundKeyDown);
-  window.addEventListener('keyup', boundKeyUp);
-}
 
-function setupMouseEvents(canvas) {
-    boundMouseDown = (e) => {
-        if (e.button === 0) {
-            canvas.requestPointerLock();
-            controlsState.mouseLookActive = true;
+    /** Routes keyboard input to this viewer, releasing whatever the previous one held. */
+    focus() {
+        if (focused === this) return;
+        const previous = focused;
+        focused = this;
+        if (previous) {
+            previous._releaseAll();
+            previous.onFocusChange?.(false);
         }
-    };
-    boundMouseUp = (e) => {
-        if (e.button === 0) {
-            document.exitPointerLock();
-            controlsState.mouseLookActive = false;
+        this.onFocusChange?.(true);
+    }
+
+    /** Polls the gamepad and touch joystick. Call once per frame, before the state is read. */
+    update() {
+        if (focused === this) this.gamepad?.poll(this.state);
+        this.touch?.update();
+    }
+
+    destroy() {
+        for (const [target, type, handler] of this._listeners) {
+            target.removeEventListener(type, handler);
         }
-    };
-    boundMouseMove = (e) => {
-        if (document.pointerLockElement === canvas) {
-            onMouseMoveCallback?.(e);
+        this._listeners = [];
+        this._offBindingsChange();
+        this._releaseAll();
+        this.gamepad?.destroy();
+        this.gamepad = null;
+        this.touch?.dispose();
+        this.touch = null;
+
+        instances.delete(this);
+        if (focused === this) {
+            focused = null;
+            // Hand focus to the most recently created viewer that is still alive.
+            [...instances].pop()?.focus();
         }
-    };
-    canvas.addEventListener('mousedown', boundMouseDown);
-    window.addEventListener('mouseup', boundMouseUp);
-    window.addEventListener('mousemove', boundMouseMove);
-}
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  SETUP
+     *══════════════════════════════════════════════════════════*/
 
-function setupButtonEvents(mobileControls) {
-    if (!mobileControls || !mobileControls.container) return;
-    mobileListeners = []; // Clear any previous listeners
+    _listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._listeners.push([target, type, handler]);
+    }
 
-    const { forward, backward, left, right, jump } = mobileControls;
+    _setupKeyEvents() {
+        const onKey = (pressed) => (e) => {
+            if (focused !== this || e.repeat) return;
+            this._onInput(e.code, pressed);
+        };
+        this._listen(window, 'keydown', onKey(true));
+        this._listen(window, 'keyup', onKey(false));
+    }
 
-    const addListeners = (element, key) => {
-        if (!element) return;
-        const onStart = () => { controlsState[key] = true; };
-        const onEnd = () => { controlsState[key] = false; };
+    _setupMouseEvents() {
+        const canvas = this.canvas;
+        this._listen(canvas, 'mousedown', (e) => {
+            this.focus();
+            this._mouseButtons.add(e.button);
+            this._onInput(`Mouse${e.button}`, true);
+        });
+        this._listen(canvas, 'touchstart', () => this.focus(), { passive: true });
+        // Released anywhere on the page, but only for presses that started on this canvas.
+        this._listen(window, 'mouseup', (e) => {
+            if (!this._mouseButtons.delete(e.button)) return;
+            this._onInput(`Mouse${e.button}`, false);
+        });
+        // Escape (or the browser) can end pointer lock behind our back, e.g. in toggle mode.
+        this._listen(document, 'pointerlockchange', () => {
+            if (document.pointerLockElement !== canvas) this.state.mouseLookActive = false;
+        });
+        this._listen(window, 'mousemove', (e) => {
+            if (document.pointerLockElement === canvas) {
+                this._onMouseMove?.(e);
+            }
+        });
+    }
 
-        element.addEventListener('touchstart', onStart, { passive: true });
-        element.addEventListener('touchend', onEnd);
-        element.addEventListener('mousedown', onStart);
-        element.addEventListener('mouseup', onEnd);
+    _setupButtonEvents(mobileControls) {
+        if (!mobileControls || !mobileControls.container) return;
+
+        const addListeners = (element, key) => {
+            if (!element) return;
+            const onStart = () => {
+                this.focus();
+                this.state[key] = true;
+            };
+            const onEnd = () => { this.state[key] = false; };
+
+            this._listen(element, 'touchstart', onStart, { passive: true });
+            this._listen(element, 'touchend', onEnd);
+            this._listen(element, 'touchcancel', onEnd);
+            this._listen(element, 'mousedown', onStart);
+            this._listen(element, 'mouseup', onEnd);
+        };
+
+        for (const key of ['forward', 'backward', 'left', 'right', 'jump', 'interact']) {
+            addListeners(mobileControls[key], key);
+        }
+    }
 
-        // Keep track of what we added so we can remove it later.
-        mobileListeners.push({ element, onStart, onEnd });
-    };
+    _setupTouchControls(touch) {
+        this.touch = null;
+        const enabled = touch === 'auto'
+            ? Boolean(window.matchMedia?.('(pointer: coarse)').matches)
+            : touch !== false;
+        if (!enabled) return;
 
-    addListeners(forward, 'forward');
-    addListeners(backward, 'backward');
-    addListeners(left, 'left');
-    addListeners(right, 'right');
-    addListeners(jump, 'jump');
-}
+        this.touch = new TouchControls(this.canvas, this.state, typeof touch === 'object' ? touch : {});
+        this.touch.onTouchStart = () => this.focus();
+        this.touch.onLook = (movementX, movementY) => this._onMouseMove?.({ movementX, movementY });
+    }
 
+    /** Applies a key, mouse button or gamepad button press or release through the bindings. */
+    _onInput(input, pressed) {
+        const action = this.bindings.actionFor(input);
+        if (action === 'look') this._setLook(pressed);
+        else if (action && action !== 'move') this.state[action] = pressed;
+    }
 
-export function initControls(canvas, mobileControls, onMouseMove) {
-    onMouseMoveCallback = onMouseMove;
-    setupKeyEvents();
-    setupMouseEvents(canvas);
-    setupButtonEvents(mobileControls);
+    _setLook(pressed) {
+        if (this.bindings.lookMode === LookMode.TOGGLE) {
+            if (!pressed) return;
+            pressed = !this.state.mouseLookActive;
+        }
+        if (pressed) {
+            this.canvas.requestPointerLock();
+            this.state.mouseLookActive = true;
+        } else {
+            if (document.pointerLockElement === this.canvas) document.exitPointerLock();
+            this.state.mouseLookActive = false;
+        }
+    }
 
-    boundContextMenu = (e) => e.preventDefault();
-    window.addEventListener('contextmenu', boundContextMenu);
+    /** Lets go of every control, e.g. when focus moves to another viewer. */
+    _releaseAll() {
+        this._mouseButtons.clear();
+        this.touch?.release();
+        if (this.state.mouseLookActive && document.pointerLockElement === this.canvas) {
+            document.exitPointerLock();
+        }
+        this.gamepad?.release(this.state);
+        for (const key of Object.keys(this.state)) {
+            if (typeof this.state[key] === 'boolean') this.state[key] = false;
+        }
+    }
 }
-
-export function destroyControls() {
-    // THIS IS THE FIX (Part 2):
-    // Now this function can safely access the module-scoped variables
-    // and remove the listeners. We also add checks to ensure they are not null.
-    if (boundKeyDown) window.removeEventListener('keydown', boundKeyDown);
-    if (boundKeyUp) window.removeEventListener('keyup', boundKeyUp);
-    // There's no direct way to remove the listener from the canvas if the
-    // canvas element is gone, but we can remove the window listeners.
-    if (boundMouseUp) window.removeEventListener('mouseup', boundMouseUp);
-    if (boundMouseMove) window.removeEventListener('mousemove', boundMouseMove);
-    if (boundContextMenu) window.removeEventListener('contextmenu', boundContextMenu);
-
-    // Clean up mobile button listeners
-    mobileListeners.forEach(({ element, onStart, onEnd }) => {
-        element.removeEventListener('touchstart', onStart);
-        element.removeEventListener('touchend', onEnd);
-        element.removeEventListener('mousedown', onStart);
-        element.removeEventListener('mouseup', onEnd);
-    });
-
-    // Reset all handler variables to null for a clean state
-    boundKeyDown = boundKeyUp = boundMouseDown = boundMouseUp = boundMouseMove = boundContextMenu = null;
-    mobileListeners = [];
-
-    // Reset control state
-    Object.keys(controlsState).forEach(key => controlsState[key] = false);
-}
\ No newline at end of file
@@ -1,5 +1,4 @@
 import * as THREE from 'three';
-import { controlsState } from './ControlsManager.js';
 
 /*───────────────────────────────
  * CAMERA TUNING CONSTANTS
@@ -14,18 +13,55 @@ const END_POLAR_ANGLE = Math.PI / 4.5;   // Ends at a very high angle, more top-
 // --- TRANSITION TIMING & SMOOTHING ---
 const FALL_TRANSITION_DURATION = 2.0;
 // FIX: A single smoothing factor for all camera movement. Lower is smoother.
+// Both factors are "per frame at SMOOTHING_REFERENCE_FPS" and get rescaled by the real delta.
 const CAMERA_SMOOTHING = 0.03;
+const AZIMUTH_FOLLOW_SMOOTHING = 0.1;
+const SMOOTHING_REFERENCE_FPS = 60;
 
 // --- THIRD-PERSON CAMERA ---
 const CAMERA_DISTANCE = 0.0;
 const CAMERA_ELEVATION = 6.0;
 const CAMERA_LOOK_AT_HEIGHT = 2.0;
+const MIN_POLAR_ANGLE = 0.6;             // Same limits as mouse look.
+const MAX_POLAR_ANGLE = Math.PI / 2 - 0.1;
+const STICK_LOOK_SPEED = 2.5;            // rad/s at full right-stick tilt.
+
+// --- COLLISION & OCCLUSION ---
+const CAMERA_COLLISION_RADIUS = 0.3;     // Kept between the camera and map geometry; covers the near plane.
+const CAMERA_RECOVERY_SMOOTHING = 0.06;  // How fast the camera eases back out once clear (per frame, as above).
+const OCCLUDER_OPACITY = 0.3;            // Opacity of faded meshes, relative to their own.
+const OCCLUDER_FADE_SPEED = 4.0;         // Opacity change per second while fading in or out.
+const MAX_OCCLUDER_HITS = 4;             // Collision meshes looked for along the line of sight.
+
+const DEFAULT_OPTIONS = {
+    collision: true,        // Pull in when map geometry is between the player and the camera.
+    fadeOccluders: false,   // Fade meshes that still hide the player, e.g. decorative ones without collision.
+};
 
 export class GameCamera {
-    constructor(camera, target, mapCenter) {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {THREE.Object3D} target The player model to follow.
+     * @param {THREE.Vector3} [mapCenter] What the cinematic drop-in looks towards.
+     * @param {object} [controls] The viewer's control state; while `mouseLookActive` or
+     *        `touchLookActive` is set or the right stick is tilted (`lookX`/`lookY`) the camera stops
+     *        swinging back behind the player, and the stick turns it.
+     * @param {object} [options] See DEFAULT_OPTIONS.
+     */
+    constructor(camera, target, mapCenter, controls = null, options = {}) {
         this.camera = camera;
         this.target = target;
         this.mapCenter = mapCenter || new THREE.Vector3(0, 0, 0);
+        this.controls = controls;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // The map, set with setMap: its CollisionWorld for the camera sweep, its root for fading.
+        this.collider = null;
+        this.occluderRoot = null;
+        /** Called with each material made for a faded mesh, e.g. to set up shadows for it. */
+        this.onFadeMaterial = null;
+        /** Called with each faded mesh's material just before it is disposed. */
+        this.onReleaseMaterial = null;
 
         // FIX: Simplified camera modes. No more 'LANDING_TRANSITION'.
         this.mode = 'CINEMATIC_FALL';
@@ -37,18 +73,85 @@ export class GameCamera {
         this.polar = Math.PI / 3;
         this.azimuth = Math.PI;
 
+        // When true, the third-person camera swings back behind the player's facing.
+        // Turned off for camera-relative movement, where the player steers the camera.
+        this.followHeading = true;
+        // When true, azimuth and polar are only set from outside (a replay sets them every step).
+        this.anglesLocked = false;
+
         // Cinematic fall state
         this.cinematicTimer = 0;
 
         // Vector for smoothing the look-at point to prevent jitter.
         this.smoothedLookAt = new THREE.Vector3();
+        // Where the camera would be with nothing in the way; collision only shortens the boom from here.
+        this.idealPosition = camera.position.clone();
+        // How far (m) the third-person camera is currently pulled in towards the look-at point.
+        this.collisionPull = 0;
+
+        this._faded = new Map(); // mesh → { original, faded, opacities, opacity }
+        this._occluderCandidates = []; // { mesh, sphere } for map meshes outside the collision data
+        this._raycaster = new THREE.Raycaster();
+        this._rayOrigin = new THREE.Vector3();
+        this._toCamera = new THREE.Vector3();
+        this._probe = new THREE.Vector3();
+        this._right = new THREE.Vector3();
+        this._up = new THREE.Vector3();
     }
 
-    reset() {
-        this.mode = 'CINEMATIC_FALL';
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Gives the camera the map to avoid. Call again after switching worlds, and with nulls
+     * before the old map is disposed, so faded meshes get their own materials back.
+     * @param {import('./physics/CollisionWorld.js').CollisionWorld|null} collider
+     * @param {THREE.Object3D|null} [root] The map's root, whose meshes may be faded.
+     */
+    setMap(collider, root = null) {
+        this._restoreOccluders();
+        this.collider = collider;
+        this.occluderRoot = root;
+        this.collisionPull = 0;
+
+        // Collision meshes are found through the collider's BVH; the rest are few and small
+        // (foliage, decoration), so they are tested one by one, behind a bounding-sphere check.
+        // The map doesn't move once loaded, so the spheres are computed once.
+        this._occluderCandidates = [];
+        if (!root) return;
+        const solid = new Set(collider?.meshes);
+        root.updateMatrixWorld(true);
+        root.traverse((node) => {
+            if (!node.isMesh || solid.has(node)) return;
+            if (!node.geometry.boundingSphere) node.geometry.computeBoundingSphere();
+            const sphere = node.geometry.boundingSphere.clone().applyMatrix4(node.matrixWorld);
+            this._occluderCandidates.push({ mesh: node, sphere });
+        });
+    }
+
+    /**
+     * Follows a different object (e.g. after a character swap) without
+     * resetting the camera's mode, angles or smoothing.
+     * @param {THREE.Object3D} target
+     */
+    setTarget(target) {
+        if (this.target) this.target.remove(this.pivot);
+        this.target = target;
+        this.target.add(this.pivot);
+    }
+
+    /**
+     * @param {boolean} [cinematic] Start with the cinematic drop-in shot (default),
+     *        or go straight to the third-person view.
+     */
+    reset(cinematic = true) {
+        this.mode = cinematic ? 'CINEMATIC_FALL' : 'THIRD_PERSON';
         this.azimuth = this.target ? this.target.rotation.y + Math.PI : Math.PI;
         this.cinematicTimer = 0;
 
+        this.collisionPull = 0;
+
         // Initialize smoothed look-at to the player's position
         if(this.target) {
             this.smoothedLookAt.copy(this.target.position);
@@ -59,12 +162,15 @@ export class GameCamera {
     }
 
     // FIX: Simplified method to just switch the mode.
+    /** @returns {boolean} True on the call that ends the cinematic drop-in. */
     checkLanding(playerIsGrounded) {
         if (playerIsGrounded && this.mode === 'CINEMATIC_FALL') {
             this.mode = 'THIRD_PERSON';
             // Pre-calculate the final third-person azimuth to prevent a "swing"
             this.azimuth = this.target.rotation.y + Math.PI;
+            return true;
         }
+        return false;
     }
 
     _shortestAngleDiff(a, b) {
@@ -104,9 +210,17 @@ export class GameCamera {
             targetLookAt.lerpVectors(this.target.position, this.mapCenter, easeProgress);
 
         } else { // THIRD_PERSON
-            if (!controlsState.mouseLookActive) {
+            const lookX = this.controls?.lookX ?? 0;
+            const lookY = this.controls?.lookY ?? 0;
+            const stickLook = lookX !== 0 || lookY !== 0;
+            if (stickLook && !this.anglesLocked) {
+                this.azimuth -= lookX * STICK_LOOK_SPEED * delta;
+                this.polar = THREE.MathUtils.clamp(this.polar - lookY * STICK_LOOK_SPEED * delta, MIN_POLAR_ANGLE, MAX_POLAR_ANGLE);
+            }
+            const lookHeld = this.controls?.mouseLookActive || this.controls?.touchLookActive;
+            if (this.followHeading && !lookHeld && !stickLook && !this.anglesLocked) {
                 const desiredAzimuth = this.target.rotation.y + Math.PI;
-                this.azimuth = this.lerpAngle(this.azimuth, desiredAzimuth, 0.1);
+                this.azimuth = this.lerpAngle(this.azimuth, desiredAzimuth, this._smoothingFactor(AZIMUTH_FOLLOW_SMOOTHING, delta));
             }
             const offset = new THREE.Vector3(0, CAMERA_ELEVATION, this.distance);
             offset.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.polar);
@@ -121,16 +235,174 @@ export class GameCamera {
         // --- UNIFIED SMOOTHING ---
         // This single block now handles all camera movement, including the transition.
         if (forceImmediate) {
-            this.camera.position.copy(targetPosition);
+            this.idealPosition.copy(targetPosition);
             this.smoothedLookAt.copy(targetLookAt);
         } else {
-            this.camera.position.lerp(targetPosition, CAMERA_SMOOTHING);
-            this.smoothedLookAt.lerp(targetLookAt, CAMERA_SMOOTHING);
+            const t = this._smoothingFactor(CAMERA_SMOOTHING, delta);
+            this.idealPosition.lerp(targetPosition, t);
+            this.smoothedLookAt.lerp(targetLookAt, t);
         }
 
+        // The drop-in shot flies high above the map; only the third-person camera gets boxed in.
+        if (this.mode === 'THIRD_PERSON') {
+            this._resolveCollision(targetLookAt, delta, forceImmediate);
+        } else {
+            this.camera.position.copy(this.idealPosition);
+            this.collisionPull = 0;
+        }
+        this._updateOccluders(targetLookAt, delta, forceImmediate);
+
         this.camera.lookAt(this.smoothedLookAt);
     }
 
+    /*══════════════════════════════════════════════════════════
+     *  COLLISION & OCCLUSION
+     *══════════════════════════════════════════════════════════*/
+
+    /**
+     * Places the camera on the line from the look-at point to `idealPosition`, as far out as
+     * the map allows. Blocked, it pulls in at once so it never sits inside a wall; clear
+     * again, it eases back out.
+     */
+    _resolveCollision(lookAt, delta, forceImmediate) {
+        const toCamera = this._toCamera.subVectors(this.idealPosition, lookAt);
+        const length = toCamera.length();
+        if (length < 1e-6) {
+            this.camera.position.copy(this.idealPosition);
+            return;
+        }
+        toCamera.divideScalar(length);
+
+        // With no room at all, the camera still stays in front of the hit itself, down to the
+        // near plane; it never goes further out than the map allows.
+        const clear = this.options.collision && this.collider ? this._sweep(lookAt, toCamera, length) : length;
+        const pull = length - Math.max(clear, Math.min(this.camera.near, clear + CAMERA_COLLISION_RADIUS));
+        if (forceImmediate || pull >= this.collisionPull) {
+            this.collisionPull = pull;
+        } else {
+            this.collisionPull += (pull - this.collisionPull) * this._smoothingFactor(CAMERA_RECOVERY_SMOOTHING, delta);
+        }
+        this.camera.position.copy(lookAt).addScaledVector(toCamera, length - this.collisionPull);
+    }
+
+    /**
+     * Casts rays from the look-at point to the camera position and to four points around
+     * it, so the whole near plane stays clear, not just its centre.
+     * @returns {number} How far out along `direction` the camera can go.
+     */
+    _sweep(lookAt, direction, length) {
+        const right = this._right.crossVectors(direction, THREE.Object3D.DEFAULT_UP);
+        if (right.lengthSq() < 1e-6) right.set(1, 0, 0);
+        right.normalize();
+        const up = this._up.crossVectors(right, direction);
+
+        let clear = length;
+        for (const [x, y] of [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const probe = this._probe.copy(direction).multiplyScalar(length)
+                .addScaledVector(right, x * CAMERA_COLLISION_RADIUS)
+                .addScaledVector(up, y * CAMERA_COLLISION_RADIUS);
+            const probeLength = probe.length();
+            probe.divideScalar(probeLength);
+            const hit = this.collider.raycast(lookAt, probe, probeLength + CAMERA_COLLISION_RADIUS);
+            // Scale the hit back onto the centre line: the probes fan out towards the camera.
+            if (hit) clear = Math.min(clear, hit.distance * length / probeLength - CAMERA_COLLISION_RADIUS);
+        }
+        return clear;
+    }
+
+    /**
+     * Fades map meshes between the camera and the look-at point, such as foliage left out
+     * of the collision data, and brings them back once they no longer block the view.
+     * Faded meshes get their own copy of their material, so shared materials are untouched.
+     */
+    _updateOccluders(lookAt, delta, forceImmediate) {
+        if (!this.options.fadeOccluders || !this.occluderRoot) {
+            this._restoreOccluders();
+            return;
+        }
+
+        const occluding = new Set();
+        const toLookAt = this._toCamera.subVectors(lookAt, this.camera.position);
+        const distance = toLookAt.length();
+        if (distance > 1e-6) {
+            toLookAt.divideScalar(distance);
+            this._findOccluders(toLookAt, distance, occluding);
+        }
+
+        for (const mesh of occluding) {
+            if (!this._faded.has(mesh)) this._fadeMesh(mesh);
+        }
+        const step = forceImmediate ? 1 : OCCLUDER_FADE_SPEED * delta;
+        for (const [mesh, entry] of this._faded) {
+            const target = occluding.has(mesh) ? OCCLUDER_OPACITY : 1;
+            entry.opacity += THREE.MathUtils.clamp(target - entry.opacity, -step, step);
+            if (entry.opacity >= 1) {
+                this._restoreMesh(mesh, entry);
+                continue;
+            }
+            entry.faded.forEach((material, i) => { material.opacity = entry.opacities[i] * entry.opacity; });
+        }
+    }
+
+    _findOccluders(direction, distance, occluding) {
+        // Collision meshes, one hit at a time through the BVH. With collision on the line is
+        // normally clear already, so this is usually a single cheap query.
+        if (this.collider) {
+            const origin = this._rayOrigin.copy(this.camera.position);
+            let remaining = distance;
+            for (let i = 0; i < MAX_OCCLUDER_HITS && remaining > 0; i++) {
+                const hit = this.collider.raycast(origin, direction, remaining);
+                if (!hit) break;
+                if (hit.object.visible) occluding.add(hit.object);
+                origin.addScaledVector(direction, hit.distance + 0.01);
+                remaining -= hit.distance + 0.01;
+            }
+        }
+
+        const raycaster = this._raycaster;
+        raycaster.set(this.camera.position, direction);
+        raycaster.far = distance;
+        for (const { mesh, sphere } of this._occluderCandidates) {
+            if (!mesh.visible || occluding.has(mesh) || !raycaster.ray.intersectsSphere(sphere)) continue;
+            if (raycaster.intersectObject(mesh, false).length) occluding.add(mesh);
+        }
+    }
+
+    _fadeMesh(mesh) {
+        const original = mesh.material;
+        const faded = (Array.isArray(original) ? original : [original]).map((material) => {
+            // clone() drops shader hooks such as CSM's; onFadeMaterial puts them back.
+            const copy = material.clone();
+            copy.transparent = true;
+            copy.depthWrite = false;
+            this.onFadeMaterial?.(copy);
+            return copy;
+        });
+        this._faded.set(mesh, { original, faded, opacities: faded.map(m => m.opacity), opacity: 1 });
+        mesh.material = Array.isArray(original) ? faded : faded[0];
+    }
+
+    _restoreMesh(mesh, entry) {
+        mesh.material = entry.original;
+        for (const material of entry.faded) {
+            this.onReleaseMaterial?.(material);
+            material.dispose();
+        }
+        this._faded.delete(mesh);
+    }
+
+    _restoreOccluders() {
+        for (const [mesh, entry] of this._faded) this._restoreMesh(mesh, entry);
+    }
+
+    /**
+     * Converts a per-frame lerp factor into one for an arbitrary delta, so the
+     * camera converges at the same speed whatever the frame rate.
+     */
+    _smoothingFactor(factorPerFrame, delta) {
+        return 1 - Math.pow(1 - factorPerFrame, delta * SMOOTHING_REFERENCE_FPS);
+    }
+
     easeInOutCubic(t) {
         return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
     }
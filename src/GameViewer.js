@@ -0,0 +1,844 @@
+// src/viewer/GameViewer.js
+
+import * as THREE from 'three';
+import { Player, MovementMode } from './Player.js';
+import { GameCamera } from './GameCamera.js';
+import { ControlsManager } from './ControlsManager.js';
+import { GraphicsConfig, QualityPresets } from './GraphicsConfig.js';
+import { PhysicsConfig } from './PhysicsConfig.js';
+import { GraphicsManager } from './GraphicsManager.js';
+import { QualityGovernor } from './graphics/QualityGovernor.js';
+import { DebugOverlay } from './debug/DebugOverlay.js';
+import { FIXED_TIMESTEP, setupGameplay, stepGameplay } from './world/Gameplay.js';
+import { EventEmitter } from './utils/EventEmitter.js';
+import { deepMerge, diffObjects } from './utils/deepMerge.js';
+import { disposeObject } from './utils/disposeObject.js';
+import { DefaultCharacters, resolveCharacter } from './CharacterRegistry.js';
+import { loadGltf, loadWorldFile } from './loader/AssetLoader.js';
+import { MapLoadError, CharacterLoadError, LoadAbortedError } from './loader/LoadErrors.js';
+import { encodeWorld, isGlbFile } from './loader/WorldFormat.js';
+import { InputRecorder, InputReplayer } from './replay/InputRecording.js';
+import { createRandom, randomSeed } from './utils/random.js';
+
+// Gameplay and physics run at a fixed rate (FIXED_TIMESTEP); rendering interpolates between steps.
+const MAX_FRAME_DELTA     = 0.25; // A longer hitch (e.g. a tab switch) is treated as this long.
+const MAX_STEPS_PER_FRAME = 5;    // Catch-up cap; any backlog past this is dropped.
+
+// Overall load progress reached when each stage starts; downloads fill the range before 'graphics'.
+const LOAD_STAGE_PROGRESS = { graphics: 0.8, shaders: 0.9, ready: 1 };
+
+/**
+ * One running world: its renderer, scene, player, camera, input and game loop.
+ *
+ * Everything lives on the instance, so any number of viewers can run on a page,
+ * each with its own canvas. `createGameViewer` (game-preview.js) wraps this in the
+ * public controller API; see there for the options and events.
+ */
+export class GameViewer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} mobileControls
+     * @param {object} options The createGameViewer options.
+     */
+    constructor(canvas, mobileControls, options = {}) {
+        this.canvas = canvas;
+        this.mobileControls = mobileControls;
+        this.options = options;
+        this.events = new EventEmitter();
+        for (const [type, listener] of Object.entries(options.listeners || {})) this.events.on(type, listener);
+
+        this.characterRegistry = options.characters || DefaultCharacters;
+        this.currentCharacter = null;
+        this.loadedWorldUrl = null;
+        this.worldMetadata = {};
+        this.worldGlb = null; // The map's own GLB, kept for exportWorld.
+        // The live graphics config: the world's settings, the quality preset, the player's own
+        // changes on top, then whatever the quality governor has turned down.
+        this.graphicsConfig = GraphicsConfig;
+        this._worldGraphics = GraphicsConfig;
+        this._qualityPreset = {};
+        this._graphicsOverrides = {};
+        this._requestedGraphics = GraphicsConfig;
+        this.qualityGovernor = null;
+        this._pinnedGraphics = new Set();
+        this.debugOverlay = null;
+        this._debugOptions = options.debug || null; // Held until the scene exists.
+        // Everything random (the star field, a random character) comes from the seed, so a
+        // replay can rebuild the same run.
+        this.seed = options.seed ?? randomSeed();
+        this.random = createRandom(this.seed);
+        this.recorder = null;
+        this.replayer = null;
+        this._replayDone = null; // Resolves the promise `replay` returned.
+        this._replayRequest = 0;
+        this.destroyed = false;
+
+        this.scene = this.camera = this.renderer = this.clock = null;
+        this.sunLight = this.sunTarget = this.sunMesh = this.moonLight = this.ambientLight = null;
+        this.starField = this.starMaterial = null;
+        this.graphicsManager = this.player = this.gameCamera = this.controls = null;
+        this.mapRoot = this.mapCollider = this.spawnSystem = this.triggerSystem = null;
+
+        this._stepAccumulator = 0;
+        this._animationFrameId = null;
+        this._resizeObserver = null;
+        this._worldRequest = 0;
+        this._characterRequest = 0;
+
+        this._animate = this._animate.bind(this);
+        this._onResize = this._onResize.bind(this);
+        if (options.quality) this.setQuality(options.quality);
+        if (options.adaptiveQuality) this.setAdaptiveQuality(options.adaptiveQuality);
+    }
+
+    /**
+     * Builds the world and starts the game loop. On failure everything built so far is
+     * torn down before the error is re-thrown.
+     * @param {string} worldUrl A `.world` file (see loader/WorldFormat.js) or a plain GLB.
+     */
+    async load(worldUrl) {
+        const { signal } = this.options;
+        const checkAborted = () => {
+            if (signal?.aborted || this.destroyed) throw new LoadAbortedError();
+        };
+        this.loadedWorldUrl = worldUrl;
+
+        // --- 1. SETUP THE 3D WORLD ---
+        this._initScene();
+        this._initLights();
+        this._initStars();
+        if (this._debugOptions) this.setDebugOverlay(this._debugOptions);
+
+        // Abort the in-flight downloads as soon as the signal fires.
+        const downloads = new AbortController();
+        const onAbort = () => downloads.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        // --- 2. LOAD ASSETS ---
+        const bytes = { map: { loaded: 0, total: 0 }, character: { loaded: 0, total: 0 } };
+        try {
+            // [+] ADDED LOG: Announce the loading of the map
+            console.log(`[GamePreview] Attempting to load map from: ${worldUrl}`);
+            const onProgress = (stage) => ({ loaded, total }) => {
+                bytes[stage] = { loaded, total };
+                this._emitLoadProgress(stage, bytes);
+            };
+
+            const mapPromise = loadWorldFile(worldUrl, { signal: downloads.signal, onProgress: onProgress('map') })
+                .catch(error => {
+                    if (error instanceof LoadAbortedError) throw error;
+                    // [+] ADDED LOG: Specific error for map loading failure
+                    console.error(`[GamePreview] FAILED to load map glb from: ${worldUrl}`, error);
+                    // Re-throw with more context
+                    throw new MapLoadError(`Could not load the main world file. ${error.message}`, { url: worldUrl, cause: error });
+                });
+
+            // An explicit character downloads alongside the map; otherwise the world may name one.
+            let character;
+            const loadCharacter = (choice) => {
+                character = resolveCharacter(choice, this.characterRegistry, this.random);
+                return this._loadCharacter(character, { signal: downloads.signal, onProgress: onProgress('character') });
+            };
+            const characterPromise = this.options.character !== undefined
+                ? loadCharacter(this.options.character)
+                : mapPromise.then(world => loadCharacter(world.metadata.character));
+
+            // One failed download cancels the other; both settle before going on, so nothing
+            // is left running. The real failure wins over the abort it caused.
+            const results = await Promise.allSettled([mapPromise, characterPromise].map(promise =>
+                promise.catch((error) => { downloads.abort(); throw error; })));
+            checkAborted();
+            const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+            if (failures.length) throw failures.find(error => !(error instanceof LoadAbortedError)) ?? failures[0];
+            const [world, heroGltf] = results.map(result => result.value);
+            const mapGltf = world.gltf;
+            this.worldMetadata = world.metadata;
+            this.worldGlb = world.glb;
+            this._worldGraphics = this._worldGraphicsConfig(mapGltf, world.metadata);
+            this.graphicsConfig = this._composeGraphicsConfig();
+
+            // [+] ADDED LOG: Confirm successful loading
+            console.log('[GamePreview] Both map and character assets loaded successfully.');
+
+            this._emitLoadProgress('graphics', bytes);
+            this.graphicsManager = new GraphicsManager(this.scene, this.camera, this.renderer, {
+                sun: this.sunLight, moon: this.moonLight, ambient: this.ambientLight,
+                sunMesh: this.sunMesh, sunTarget: this.sunTarget,
+            }, { material: this.starMaterial });
+            this.graphicsManager.init(this.graphicsConfig);
+
+            const mapCenter = this._setupMap(mapGltf, this.options, world.metadata);
+
+            // --- 3. SETUP PLAYER AND CONTROLS ---
+            // Worlds can tune the controller (slopes, steps, sliding) through their scene extras.
+            const physicsConfig = deepMerge(PhysicsConfig, mapGltf.scene.userData.physics);
+            this.player = new Player(this.scene, physicsConfig.character);
+            for (const type of ['jumped', 'respawned', 'animationchanged']) {
+                this.player.on(type, (...args) => this.events.emit(type, ...args));
+            }
+            await this.player.load(heroGltf, this.spawnSystem.spawn, character.animationGraph);
+            checkAborted();
+            this.player.killPlaneY = this.spawnSystem.killPlaneY;
+            this.graphicsManager.processObject(this.player.model);
+            this.currentCharacter = character;
+
+            // Compile every material now rather than stalling on the first frames.
+            this._emitLoadProgress('shaders', bytes);
+            await this._warmUpShaders();
+            checkAborted();
+
+            this.controls = new ControlsManager(this.canvas, this.mobileControls, (e) => {
+                const gameCamera = this.gameCamera;
+                const { mouseLookActive, touchLookActive } = this.controls.state;
+                if (gameCamera && !this.replayer && (mouseLookActive || touchLookActive)) {
+                    gameCamera.azimuth -= e.movementX * 0.002;
+                    gameCamera.polar = THREE.MathUtils.clamp(
+                        gameCamera.polar - e.movementY * 0.002,
+                        0.6,
+                        Math.PI / 2 - 0.1,
+                    );
+                }
+            }, { gamepad: this.options.gamepad, bindings: this.options.controls, touch: this.options.touchControls });
+            this.controls.onFocusChange = (focused) => this.events.emit(focused ? 'focus' : 'blur');
+            this.controls.bindings.on('change', (change) => this.events.emit('bindingschanged', change));
+            this.controls.onGamepadChange = (gamepad) => {
+                if (gamepad) this.events.emit('gamepadconnected', { id: gamepad.id, mapping: gamepad.mapping });
+                else this.events.emit('gamepaddisconnected');
+            };
+
+            this.gameCamera = new GameCamera(this.camera, this.player.model, mapCenter, this.controls.state, {
+                collision: this.options.cameraCollision ?? true,
+                fadeOccluders: this.options.fadeOccluders ?? false,
+            });
+            this.gameCamera.onFadeMaterial = (material) => this.graphicsManager?.setupMaterial(material);
+            this.gameCamera.onReleaseMaterial = (material) => this.graphicsManager?.releaseMaterial(material);
+            this.gameCamera.setMap(this.mapCollider, this.mapRoot);
+            if (!this.spawnSystem.dropIn) this.gameCamera.reset(false);
+            this.setMovementMode(this.options.movementMode || MovementMode.TANK);
+
+            // --- 4. AUTO-START THE GAME LOOP ---
+            this._animate();
+            this._emitLoadProgress('ready', bytes);
+        } catch (error) {
+            // This will now catch the more specific error from our promises
+            if (error instanceof LoadAbortedError) {
+                console.log('[GamePreview] Loading aborted.');
+            } else {
+                console.error('[GamePreview] A critical asset failed to load, aborting initialization.', error);
+            }
+            this.destroy(); // Clean up the partially initialized scene
+            throw error; // Re-throw to be caught by the Vue component
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  GAMEPLAY API
+     *══════════════════════════════════════════════════════════*/
+
+    /**
+     * Clears checkpoints and puts the player and camera back at the world's spawn.
+     * @param {string} [reason] Passed on to 'respawned' listeners.
+     */
+    restart(reason = 'restart') {
+        this._interruptRun(reason);
+        const { spawnSystem, player } = this;
+        if (spawnSystem) spawnSystem.reset();
+        if (player && spawnSystem) {
+            player.setSpawnPoint(spawnSystem.spawn.position, spawnSystem.spawn.rotationY);
+            player.killPlaneY = spawnSystem.killPlaneY;
+            player.reset(reason);
+        }
+        if (this.gameCamera) this.gameCamera.reset(spawnSystem?.dropIn);
+    }
+
+    async loadWorld(url, loadOptions = {}) {
+        if (!this.player) throw new Error('[GamePreview] Cannot switch worlds before the viewer has loaded.');
+        const request = ++this._worldRequest;
+        // The initial load's signal is done with; only this call's own may cancel it.
+        const options = { ...this.options, ...loadOptions, signal: loadOptions.signal };
+        const bytes = { map: { loaded: 0, total: 0 } };
+
+        console.log(`[GamePreview] Attempting to load map from: ${url}`);
+        const { gltf, glb, metadata } = await loadWorldFile(url, {
+            signal: options.signal,
+            onProgress: (progress) => {
+                bytes.map = progress;
+                this._emitLoadProgress('map', bytes);
+            },
+        }).catch(error => {
+            if (error instanceof LoadAbortedError) throw error;
+            console.error(`[GamePreview] FAILED to load map glb from: ${url}`, error);
+            throw new MapLoadError(`Could not load the world file. ${error.message}`, { url, cause: error });
+        });
+
+        // Ignore stale results: the viewer was destroyed or another world was requested meanwhile.
+        if (this.destroyed || request !== this._worldRequest) {
+            disposeObject(gltf.scene);
+            return;
+        }
+
+        this._interruptRun('world');
+        this._unloadMap();
+        this._worldGraphics = this._worldGraphicsConfig(gltf, metadata);
+        this.graphicsConfig = this._composeGraphicsConfig();
+        this.graphicsManager.setConfig(this.graphicsConfig);
+        this.graphicsManager.setTimeOfDay(this.graphicsConfig.environment.dayNightCycle.startTime);
+        const mapCenter = this._setupMap(gltf, options, metadata);
+        this.worldMetadata = metadata;
+        this.worldGlb = glb;
+        this.player.setPhysics(deepMerge(PhysicsConfig, gltf.scene.userData.physics).character);
+        this.gameCamera.mapCenter.copy(mapCenter);
+        this.gameCamera.setMap(this.mapCollider, this.mapRoot);
+        this.loadedWorldUrl = url;
+        this.restart('world');
+
+        this._emitLoadProgress('shaders', bytes);
+        await this._warmUpShaders();
+        this._emitLoadProgress('ready', bytes);
+        this.events.emit('worldloaded', { url });
+        console.log(`[GamePreview] Switched world to '${url}'.`);
+    }
+
+    /**
+     * Packs the current world into a `.world` file: the loaded map plus the spawn point,
+     * graphics settings, time of day and character in use.
+     * @param {object} [options]
+     * @param {boolean} [options.spawnAtPlayer] Save the player's current position and facing
+     *        as the spawn instead of the world's own spawn point.
+     * @returns {ArrayBuffer}
+     */
+    exportWorld(options = {}) {
+        if (!this.player) throw new Error('[GamePreview] Cannot export a world before the viewer has loaded.');
+        if (!this.worldGlb || !isGlbFile(this.worldGlb)) {
+            throw new Error('[GamePreview] Only worlds loaded from a .glb or .world file can be exported.');
+        }
+        const metadata = { ...this.worldMetadata };
+
+        const spawn = options.spawnAtPlayer
+            ? { position: this.player.getFeetPosition(), rotationY: this.player.model.rotation.y }
+            : this.spawnSystem.markerSpawn;
+        if (spawn) metadata.spawn = { position: spawn.position.toArray(), rotationY: spawn.rotationY };
+
+        // Only what differs from the defaults, so the file picks up future default changes.
+        // The quality preset and the governor's changes are left out: they fit this device,
+        // not the world.
+        let graphics = deepMerge(this._worldGraphics, this._graphicsOverrides);
+        const dayNight = this.graphicsManager?.dayNightCycleManager;
+        if (dayNight) {
+            const startTime = THREE.MathUtils.euclideanModulo(dayNight.timeOfDay, Math.PI * 2);
+            graphics = deepMerge(graphics, { environment: { dayNightCycle: { startTime } } });
+        }
+        metadata.graphics = diffObjects(GraphicsConfig, graphics);
+
+        // A registry id only means something to viewers with the same registry.
+        const { id, url, animationGraph } = this.currentCharacter;
+        const inRegistry = Object.prototype.hasOwnProperty.call(this.characterRegistry, id)
+            && resolveCharacter(id, this.characterRegistry).url === url;
+        metadata.character = inRegistry ? id : { id, url, animationGraph };
+
+        return encodeWorld({ metadata, glb: this.worldGlb });
+    }
+
+    async setCharacter(choice) {
+        if (!this.player) throw new Error('[GamePreview] Cannot swap characters before the viewer has loaded.');
+        const request = ++this._characterRequest;
+        const character = resolveCharacter(choice, this.characterRegistry, this.random);
+        const gltf = await this._loadCharacter(character);
+
+        // Ignore stale results: the viewer was destroyed or another swap started meanwhile.
+        if (this.destroyed || request !== this._characterRequest) return;
+
+        this._interruptRun('character');
+        const model = this.player.setModel(gltf, character.animationGraph);
+        this.graphicsManager?.processObject(model);
+        this.gameCamera?.setTarget(model);
+        this.currentCharacter = character;
+        console.log(`[GamePreview] Switched character to '${character.id}'.`);
+    }
+
+    /**
+     * Changes graphics settings while running. The changes stay in effect across `loadWorld`,
+     * layered over each world's own settings.
+     * @param {object} partial Settings deep-merged over the current ones (see GraphicsConfig).
+     */
+    setGraphicsConfig(partial) {
+        this._graphicsOverrides = deepMerge(this._graphicsOverrides, partial);
+        this._refreshGraphicsConfig();
+    }
+
+    /**
+     * Turns the adaptive quality governor on, off or reconfigures it (see QualityGovernor).
+     * @param {boolean|object} options `false` to turn it off and restore the requested
+     *        settings; `true` or QualityGovernor options to (re)start it.
+     */
+    setAdaptiveQuality(options) {
+        const previous = this.qualityGovernor;
+        previous?.removeAllListeners();
+        this.qualityGovernor = null;
+        if (options) {
+            const governorOptions = options === true ? {} : options;
+            for (const path of governorOptions.pinned || []) this._pinnedGraphics.add(path);
+            this.qualityGovernor = new QualityGovernor({ ...governorOptions, pinned: [...this._pinnedGraphics] });
+            this.qualityGovernor.on('change', change => this.events.emit('qualitychanged', change));
+        }
+        if (previous?.level) this._refreshGraphicsConfig();
+    }
+
+    /**
+     * Stops the governor from changing a setting, restoring it if the governor had.
+     * @param {string} path A setting path such as 'shadows.shadowMapSize'.
+     * @param {boolean} [pinned] Pass false to unpin.
+     */
+    pinGraphicsSetting(path, pinned = true) {
+        if (pinned) this._pinnedGraphics.add(path);
+        else this._pinnedGraphics.delete(path);
+
+        const governor = this.qualityGovernor;
+        if (!governor) return;
+        const level = governor.level; // Pinning may drop steps, so check the level from before.
+        if (pinned) governor.pin(path);
+        else governor.unpin(path);
+        if (level) this._refreshGraphicsConfig();
+    }
+
+    /**
+     * Replaces the quality preset. It sits between the world's settings and the player's own
+     * changes, which still win, and is never exported with the world.
+     * @param {string} preset A QualityPresets name: 'low', 'medium', 'high' or 'ultra'.
+     */
+    setQuality(preset) {
+        if (!Object.prototype.hasOwnProperty.call(QualityPresets, preset)) {
+            console.warn(`[GamePreview] Unknown quality preset '${preset}', keeping the current settings.`);
+            return;
+        }
+        this._qualityPreset = QualityPresets[preset];
+        this._refreshGraphicsConfig();
+    }
+
+    /**
+     * Shows or hides the debug overlay (see debug/DebugOverlay.js).
+     * @param {boolean|object} options false to hide it; `true` or DebugOverlay options to show it.
+     */
+    setDebugOverlay(options) {
+        this.debugOverlay?.dispose();
+        this.debugOverlay = null;
+        this._debugOptions = options || null;
+        if (options && this.scene) this.debugOverlay = new DebugOverlay(this, options === true ? {} : options);
+    }
+
+    setMovementMode(mode) {
+        if (!Object.values(MovementMode).includes(mode)) {
+            console.warn(`[GamePreview] Unknown movement mode '${mode}', keeping '${this.player?.movementMode}'.`);
+            return;
+        }
+        if (this.player && this.player.movementMode !== mode) this._interruptRun('movementMode');
+        if (this.player) this.player.movementMode = mode;
+        if (this.gameCamera) this.gameCamera.followHeading = mode === MovementMode.TANK;
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  RECORDING & REPLAY
+     *══════════════════════════════════════════════════════════*/
+
+    /**
+     * Restarts the run and records the input of every simulation step from here on.
+     * Switching worlds, characters or movement modes, or restarting, ends the recording.
+     */
+    startRecording() {
+        if (!this.player) throw new Error('[GamePreview] Cannot record before the viewer has loaded.');
+        this.stopReplay();
+        this.recorder = null;
+        this.restart('record');
+        this._stepAccumulator = 0;
+        const { id, url, animationGraph } = this.currentCharacter;
+        this.recorder = new InputRecorder({
+            worldUrl: this.loadedWorldUrl,
+            character: { id, url, animationGraph },
+            seed: this.seed,
+            movementMode: this.player.movementMode,
+            stepRate: 1 / FIXED_TIMESTEP,
+        });
+        console.log('[GamePreview] Recording started.');
+    }
+
+    /**
+     * Ends the recording.
+     * @returns {ArrayBuffer|null} The `.replay` file (see replay/InputRecording.js), or null
+     *          when nothing was being recorded.
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return null;
+        this.recorder = null;
+        console.log(`[GamePreview] Recording stopped after ${recorder.steps} steps.`);
+        return recorder.finish();
+    }
+
+    /**
+     * Plays a recording back: loads its world and character if they differ, restores the
+     * seed and movement mode, restarts the run and feeds the recorded steps to the player
+     * and camera in place of live input.
+     * @param {ArrayBuffer} data A `.replay` file.
+     * @returns {Promise<boolean>} Resolves when the replay ends: true once every step has
+     *          played, false when it was stopped early.
+     */
+    async replay(data) {
+        if (!this.player) throw new Error('[GamePreview] Cannot replay before the viewer has loaded.');
+        const replayer = new InputReplayer(data);
+        const { worldUrl, character, seed, movementMode, stepRate } = replayer.metadata;
+        if (stepRate !== 1 / FIXED_TIMESTEP) {
+            console.warn(`[GamePreview] The replay was recorded at ${stepRate} steps/s; it may not play back exactly.`);
+        }
+        this.stopReplay();
+        if (this.recorder) this.recorder.ended = true; // Still there for stopRecording.
+        const request = ++this._replayRequest;
+
+        if (worldUrl !== this.loadedWorldUrl) await this.loadWorld(worldUrl);
+        if (character.url !== this.currentCharacter?.url) await this.setCharacter(character);
+        // Ignore stale requests: the viewer was destroyed, or another replay started or this one was stopped.
+        if (this.destroyed || request !== this._replayRequest) return false;
+        if (seed !== this.seed) {
+            this.seed = seed;
+            this.random = createRandom(seed);
+            this._fillStars();
+        }
+        this.setMovementMode(movementMode);
+        this.restart('replay');
+        this._stepAccumulator = 0;
+
+        this.replayer = replayer;
+        this.gameCamera.anglesLocked = true;
+        this.events.emit('replaystarted', { steps: replayer.steps });
+        console.log(`[GamePreview] Replaying ${replayer.steps} steps.`);
+        return new Promise(resolve => { this._replayDone = resolve; });
+    }
+
+    /** Ends a replay early (or cancels one still loading) and hands control back to the player. */
+    stopReplay() {
+        this._replayRequest++;
+        if (this.replayer) this._endReplay(false);
+    }
+
+    _endReplay(completed) {
+        this.replayer = null;
+        if (this.gameCamera) this.gameCamera.anglesLocked = false;
+        this.events.emit('replayended', { completed });
+        const done = this._replayDone;
+        this._replayDone = null;
+        done?.(completed);
+    }
+
+    /**
+     * Anything that changes the run from outside (a restart, another world, character or
+     * movement mode) stops a replay and ends a recording in progress.
+     */
+    _interruptRun(reason) {
+        if (reason === 'record' || reason === 'replay') return;
+        if (this.replayer) this._endReplay(false);
+        if (this.recorder && !this.recorder.ended) {
+            console.warn(`[GamePreview] Recording ended early (${reason}); call stopRecording() to keep it.`);
+            this.recorder.ended = true;
+        }
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        if (this._animationFrameId != null) {
+            cancelAnimationFrame(this._animationFrameId);
+            this._animationFrameId = null;
+        }
+        this.stopReplay();
+        this.recorder = null;
+        this.controls?.destroy();
+        this.debugOverlay?.dispose();
+        this.debugOverlay = null;
+        window.removeEventListener('resize', this._onResize);
+        this._resizeObserver?.disconnect();
+        this._unloadMap();
+        if (this.graphicsManager) this.graphicsManager.dispose();
+        this.player?.removeAllListeners();
+        this.qualityGovernor?.removeAllListeners();
+        this.events.emit('destroyed');
+        this.events.removeAllListeners();
+
+        if (this.scene) {
+            this.scene.traverse((obj) => {
+                if (obj.isMesh) {
+                    obj.geometry?.dispose();
+                    if (Array.isArray(obj.material)) {
+                        obj.material.forEach((m) => m.dispose());
+                    } else if (obj.material?.isMaterial) {
+                        obj.material.dispose();
+                    }
+                }
+            });
+        }
+        this.starField?.geometry?.dispose();
+        this.starMaterial?.dispose();
+        if (this.renderer) this.renderer.dispose();
+
+        // Drop every reference so a destroyed viewer holds on to nothing.
+        this.scene = this.camera = this.renderer = this.clock = null;
+        this.sunLight = this.sunTarget = this.sunMesh = this.moonLight = this.ambientLight = null;
+        this.starField = this.starMaterial = null;
+        this.graphicsManager = this.player = this.gameCamera = this.controls = null;
+        this.currentCharacter = this.loadedWorldUrl = this.worldGlb = null;
+        console.log('[GamePreview] Instance destroyed.');
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  CORE LOOP
+     *══════════════════════════════════════════════════════════*/
+
+    _animate() {
+        this._animationFrameId = requestAnimationFrame(this._animate);
+        const frameTime = this.clock.getDelta();
+        const dt = Math.min(frameTime, MAX_FRAME_DELTA);
+        const { player, gameCamera, graphicsManager } = this;
+
+        // The gamepad has no events; sample it once per frame for every step below
+        if (this.controls) this.controls.update();
+
+        // Step the simulation at a fixed rate
+        if (player) player.restoreSimulationState();
+        this._stepAccumulator += dt;
+        let steps = 0;
+        while (this._stepAccumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+            this._fixedStep(FIXED_TIMESTEP);
+            this._stepAccumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) this._stepAccumulator = Math.min(this._stepAccumulator, FIXED_TIMESTEP);
+
+        // Visuals follow the interpolated state
+        if (player) player.interpolate(this._stepAccumulator / FIXED_TIMESTEP);
+        if (gameCamera) gameCamera.update(dt);
+
+        // Update graphics and render the frame
+        if (this.debugOverlay) this.debugOverlay.update(frameTime);
+        if (graphicsManager) {
+            graphicsManager.update(dt, this.graphicsConfig, {
+                sunPosition: this.sunLight.position,
+                sunTargetPosition: this.sunTarget.position,
+                playerPosition: player.model.position,
+            });
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+
+        if (this.qualityGovernor?.update(frameTime, this._requestedGraphics)) {
+            this._refreshGraphicsConfig();
+        }
+    }
+
+    _fixedStep(step) {
+        const { gameCamera } = this;
+        let controls = this.controls.state;
+        if (this.replayer) {
+            controls = this.replayer.next();
+            if (!controls) {
+                this._endReplay(true);
+                controls = this.controls.state;
+            } else if (gameCamera) {
+                gameCamera.azimuth = controls.azimuth;
+                gameCamera.polar = controls.polar;
+            }
+        } else if (this.recorder && !this.recorder.ended && gameCamera) {
+            // The simulation gets the recorded (quantised) values, exactly as a replay will.
+            controls = this.recorder.record(controls, gameCamera.azimuth, gameCamera.polar);
+            gameCamera.azimuth = controls.azimuth;
+        }
+        if (stepGameplay(this, controls, step)) this.events.emit('landed');
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  INTERNAL HELPERS
+     *══════════════════════════════════════════════════════════*/
+
+    _initScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x87ceeb);
+        // The world's settings aren't known yet, so this goes by the defaults and any quality preset.
+        const { postProcessing } = this.graphicsConfig;
+        const useBuiltInAA = !(postProcessing.enabled && postProcessing.effects.smaa.enabled);
+
+        const renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: useBuiltInAA, logarithmicDepthBuffer: true });
+        const { width, height } = this._viewportSize();
+        renderer.setSize(width, height, this._fitsWindow());
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        renderer.physicallyCorrectLights = true;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = this.graphicsConfig.toneMapping.exposure;
+        this.renderer = renderer;
+        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 2000);
+        this.clock = new THREE.Clock();
+
+        if (this._fitsWindow()) {
+            window.addEventListener('resize', this._onResize);
+        } else {
+            this._resizeObserver = new ResizeObserver(this._onResize);
+            this._resizeObserver.observe(this.canvas);
+        }
+    }
+
+    /** Whether the viewer fills the window (the default) or follows its canvas's CSS size. */
+    _fitsWindow() {
+        return this.options.fitWindow !== false;
+    }
+
+    _viewportSize() {
+        if (this._fitsWindow()) return { width: window.innerWidth, height: window.innerHeight };
+        // A canvas that isn't laid out yet reports 0; keep a usable size until it is.
+        return { width: this.canvas.clientWidth || 1, height: this.canvas.clientHeight || 1 };
+    }
+
+    _onResize() {
+        if (!this.renderer || !this.camera) return;
+        const { width: w, height: h } = this._viewportSize();
+        this.camera.aspect = w / h;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(w, h, this._fitsWindow());
+        if (this.graphicsManager) this.graphicsManager.onResize(w, h);
+        this.events.emit('resized', { width: w, height: h });
+    }
+
+    _initLights() {
+        this.ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 4.0);
+        this.sunTarget = new THREE.Object3D();
+        this.sunLight.target = this.sunTarget;
+        this.sunMesh = new THREE.Mesh(new THREE.SphereGeometry(15, 24, 24), new THREE.MeshBasicMaterial({ color: 0xfff5c2 }));
+        this.moonLight = new THREE.DirectionalLight(0xbfd4ff, 0);
+        this.scene.add(this.ambientLight, this.sunLight, this.sunTarget, this.sunMesh, this.moonLight);
+    }
+
+    _initStars() {
+        const COUNT = 2000;
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(COUNT * 3), 3));
+        this.starMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 0.7, sizeAttenuation: true, transparent: true, opacity: 0 });
+        this.starField = new THREE.Points(geo, this.starMaterial);
+        this._fillStars();
+        this.scene.add(this.starField);
+    }
+
+    /** Scatters the stars from the seeded random source. */
+    // Its own generator, so the stars don't shift `random`: the character pick then matches
+    // a HeadlessSimulation with the same seed.
+    _fillStars() {
+        const random = createRandom(this.seed);
+        const position = this.starField.geometry.attributes.position;
+        const pos = position.array;
+        for (let i = 0; i < pos.length; i++) pos[i] = (random() - 0.5) * 2000;
+        position.needsUpdate = true;
+    }
+
+    /**
+     * Reports load progress as `{ stage, loaded, total, progress }`: the stage ('map', 'character',
+     * 'graphics', 'shaders' or 'ready'), bytes downloaded so far, and overall progress (0..1), which
+     * is null while downloading from a server that doesn't report sizes.
+     */
+    _emitLoadProgress(stage, bytes) {
+        const downloads = Object.values(bytes);
+        const loaded = downloads.reduce((sum, download) => sum + download.loaded, 0);
+        const known = downloads.every(download => download.total > 0);
+        const total = known ? downloads.reduce((sum, download) => sum + download.total, 0) : 0;
+        const downloading = !(stage in LOAD_STAGE_PROGRESS);
+        const progress = downloading
+            ? (known ? Math.min(loaded / total, 1) * LOAD_STAGE_PROGRESS.graphics : null)
+            : LOAD_STAGE_PROGRESS[stage];
+        this.events.emit('progress', { stage, loaded, total, progress });
+    }
+
+    async _warmUpShaders() {
+        try {
+            await this.renderer.compileAsync(this.scene, this.camera);
+        } catch (error) {
+            console.warn('[GamePreview] Shader warm-up failed; shaders will compile on first use.', error);
+        }
+    }
+
+    /**
+     * @param {object} character A resolved character (see resolveCharacter).
+     * @param {object} [loadOptions] `{ signal, onProgress }`, see loader/AssetLoader.js.
+     */
+    _loadCharacter(character, loadOptions) {
+        const characterPath = character.url;
+
+        // [+] ADDED LOG: Announce the loading of the character
+        console.log(`[GamePreview] Attempting to load character from: ${characterPath}`);
+
+        return loadGltf(characterPath, loadOptions)
+            .catch(error => {
+                if (error instanceof LoadAbortedError) throw error;
+                // [+] ADDED LOG: Specific error for character loading failure
+                console.error(`[GamePreview] FAILED to load character glb from: ${characterPath}`, error);
+                // Re-throw with more context
+                throw new CharacterLoadError(`Could not load the character file. ${error.message}`, { url: characterPath, cause: error });
+            });
+    }
+
+    _composeGraphicsConfig() {
+        // Kept for the governor, which judges its steps against what the player asked for.
+        const requested = this._requestedGraphics = deepMerge(
+            deepMerge(this._worldGraphics, this._qualityPreset), this._graphicsOverrides);
+        return this.qualityGovernor ? deepMerge(requested, this.qualityGovernor.getAdjustments(requested)) : requested;
+    }
+
+    _refreshGraphicsConfig() {
+        this.graphicsConfig = this._composeGraphicsConfig();
+        if (this.graphicsManager) this.graphicsManager.setConfig(this.graphicsConfig);
+        this.events.emit('graphicschanged', this.graphicsConfig);
+    }
+
+    /**
+     * The graphics settings for a world: its scene extras, then its `.world` metadata,
+     * deep-merged over the defaults.
+     */
+    _worldGraphicsConfig(gltf, metadata) {
+        return deepMerge(deepMerge(GraphicsConfig, gltf.scene.userData.graphics), metadata.graphics);
+    }
+
+    /**
+     * Adds a loaded map to the scene and builds everything derived from it.
+     * @param {object} gltf The map.
+     * @param {object} options The viewer (or loadWorld) options.
+     * @param {object} [metadata] The `.world` metadata, if the map came in one.
+     * @returns {THREE.Vector3} The map's centre.
+     */
+    _setupMap(gltf, options, metadata = {}) {
+        const map = gltf.scene;
+        this.mapRoot = map;
+        this.scene.add(map);
+        const { triggerSystem, mapCollider, spawnSystem, mapCenter } = setupGameplay(map, {
+            metadata, collisionExclude: options.collisionExclude, dropIn: options.dropIn, events: this.events,
+        });
+        this.triggerSystem = triggerSystem;
+        this.mapCollider = mapCollider;
+        this.spawnSystem = spawnSystem;
+
+        this.graphicsManager.setMap(map);
+        this.graphicsManager.processObject(map);
+        return mapCenter;
+    }
+
+    /** Removes the current map and frees everything built from it. */
+    _unloadMap() {
+        // Faded occluders get their own materials back before the map is disposed.
+        this.gameCamera?.setMap(null);
+        this.triggerSystem?.clear();
+        this.triggerSystem?.removeAllListeners();
+        this.mapCollider?.dispose();
+        if (this.mapRoot) {
+            this.graphicsManager?.releaseObject(this.mapRoot);
+            this.scene?.remove(this.mapRoot);
+            disposeObject(this.mapRoot);
+        }
+        this.mapRoot = this.mapCollider = this.spawnSystem = this.triggerSystem = null;
+    }
+}
@@ -0,0 +1,133 @@
+// src/viewer/GamepadInput.js
+
+import { InputBindings } from './InputBindings.js';
+
+// Standard-mapping stick → its [x, y] axes.
+const STICKS = {
+    GamepadLeftStick: [0, 1],
+    GamepadRightStick: [2, 3],
+};
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    deadzone: 0.15,       // Stick travel ignored around the centre, 0–1.
+    lookSensitivity: 1,   // Multiplies the right stick's camera speed.
+    moveSensitivity: 1,   // Multiplies the left stick; above 1 reaches full speed before full tilt.
+    invertY: false,       // Push the right stick up to look down.
+};
+
+/**
+ * Reads one gamepad into a ControlsManager's control state.
+ *
+ * The stick bound to 'move' sets `moveX`/`moveY` (analog movement, +Y forward), the one
+ * bound to 'look' `lookX`/`lookY` (camera, already scaled by `lookSensitivity`), and
+ * buttons the boolean controls they're bound to. The Gamepad API has no input events,
+ * so `poll` has to run every frame. Pads can be plugged in and out at any time; the first
+ * standard-mapping pad is used, falling back to any pad.
+ */
+export class GamepadInput {
+    /**
+     * @param {object} [options] See DEFAULT_OPTIONS.
+     * @param {InputBindings} [bindings] The action map; the defaults if omitted.
+     */
+    constructor(options = {}, bindings = new InputBindings({ storageKey: false })) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.bindings = bindings;
+        this.index = null; // navigator.getGamepads() slot in use, or null.
+
+        /** Called with the Gamepad when one is picked up, and with null when it goes away. */
+        this.onConnectionChange = null;
+
+        this._pressed = {};
+        this._onConnected = () => this._pickGamepad();
+        this._onDisconnected = (e) => {
+            if (e.gamepad.index === this.index) this._pickGamepad();
+        };
+        window.addEventListener('gamepadconnected', this._onConnected);
+        window.addEventListener('gamepaddisconnected', this._onDisconnected);
+        this._pickGamepad();
+    }
+
+    /** @returns {Gamepad|null} The pad in use. */
+    get gamepad() {
+        return this.index === null ? null : navigator.getGamepads?.()[this.index] ?? null;
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Copies the pad's current sticks and buttons into `state`. Buttons only write on
+     * press and release, so they don't fight the keyboard over the same control.
+     * @param {object} state The ControlsManager's control state.
+     */
+    poll(state) {
+        const pad = this.options.enabled ? this.gamepad : null;
+        if (!pad) return;
+        const { moveSensitivity, lookSensitivity, invertY } = this.options;
+
+        state.moveX = state.moveY = state.lookX = state.lookY = 0;
+        for (const [stick, [axisX, axisY]] of Object.entries(STICKS)) {
+            const action = this.bindings.actionFor(stick);
+            if (action === 'move') {
+                const [x, y] = this._stick(pad, axisX, axisY, moveSensitivity);
+                state.moveX = Math.max(-1, Math.min(1, x));
+                state.moveY = -Math.max(-1, Math.min(1, y)); // Stick up is negative.
+            } else if (action === 'look') {
+                const [x, y] = this._stick(pad, axisX, axisY, lookSensitivity);
+                state.lookX = x;
+                state.lookY = invertY ? -y : y;
+            }
+        }
+
+        const pressed = {};
+        pad.buttons.forEach((button, index) => {
+            const control = this.bindings.actionFor(`Gamepad${index}`);
+            if (control) pressed[control] = pressed[control] || button.pressed;
+        });
+        for (const control of Object.keys(this._pressed)) pressed[control] ??= false;
+        for (const [control, down] of Object.entries(pressed)) {
+            if (down !== Boolean(this._pressed[control])) state[control] = down;
+        }
+        this._pressed = pressed;
+    }
+
+    /** Lets go of everything the pad holds, e.g. when it's unplugged. */
+    release(state) {
+        state.moveX = state.moveY = state.lookX = state.lookY = 0;
+        for (const [control, down] of Object.entries(this._pressed)) {
+            if (down) state[control] = false;
+        }
+        this._pressed = {};
+    }
+
+    destroy() {
+        window.removeEventListener('gamepadconnected', this._onConnected);
+        window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+        this.index = null;
+        this.onConnectionChange = null;
+    }
+
+    /** A stick with a radial deadzone, rescaled so it still ramps smoothly from zero. */
+    _stick(pad, axisX, axisY, sensitivity) {
+        const x = pad.axes[axisX] ?? 0;
+        const y = pad.axes[axisY] ?? 0;
+        const magnitude = Math.hypot(x, y);
+        const { deadzone } = this.options;
+        if (magnitude <= deadzone) return [0, 0];
+        const scale = ((Math.min(magnitude, 1) - deadzone) / (1 - deadzone)) * sensitivity / magnitude;
+        return [x * scale, y * scale];
+    }
+
+    _pickGamepad() {
+        const pads = [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+        const pad = pads.find(p => p.mapping === 'standard') ?? pads[0] ?? null;
+        const index = pad ? pad.index : null;
+        if (index === this.index) return;
+
+        this.index = index;
+        console.log(pad ? `[GamepadInput] Using gamepad '${pad.id}'.` : '[GamepadInput] Gamepad disconnected.');
+        this.onConnectionChange?.(pad);
+    }
+}
@@ -1,6 +1,23 @@
 // src/viewer/GraphicsConfig.js
 
+/**
+ * Default graphics settings. A world can override any of them, deep-merged over these,
+ * through `"graphics"` in its glTF scene extras or its `.world` metadata (the latter wins).
+ * Colors may be hex numbers or CSS color strings.
+ */
 export const GraphicsConfig = {
+    // --- Resolution ---
+    resolution: {
+        pixelRatio: null,    // null uses the device's pixel ratio.
+        maxPixelRatio: null, // Cap on the pixel ratio; null for none.
+        renderScale: 1,      // Fraction of that resolution actually rendered, upscaled to the canvas.
+    },
+
+    // --- Tone Mapping ---
+    toneMapping: {
+        exposure: 1.3,
+    },
+
     // --- Shadow System ---
     shadows: {
         enabled: true,
@@ -19,8 +36,13 @@ export const GraphicsConfig = {
     environment: {
         useAtmosphericFog: true,
         useParticleSystem: false,
+        fog: {
+            color: null, // null follows the sky color through the day/night cycle.
+            density: 0.0008,
+        },
         dayNightCycle: {
             enabled: true,
+            startTime: Math.PI / 3, // Sun angle in radians: 0 sunrise, π/2 noon, π sunset.
             cycleSpeed: 0.05,
             sunDistance: 600,
         },
@@ -38,4 +60,32 @@ export const GraphicsConfig = {
             bokeh: { enabled: false, focus: 50.0, aperture: 0.00005, maxblur: 0.01 },
         }
     },
-};
\ No newline at end of file
+};
+
+/**
+ * Named quality levels for a settings menu, applied with the controller's `setQuality`.
+ * Each one sets every performance-related option, so switching between them is
+ * order-independent, and leaves the look (fog, colors, time of day) to the world.
+ */
+export const QualityPresets = {
+    low: {
+        resolution: { maxPixelRatio: 1 },
+        shadows: { enabled: false },
+        postProcessing: { enabled: false },
+    },
+    medium: {
+        resolution: { maxPixelRatio: 1.5 },
+        shadows: { enabled: true, useCascadedShadows: false, shadowMapSize: 1024 },
+        postProcessing: { enabled: true, effects: { smaa: { enabled: true }, ssao: { enabled: false } } },
+    },
+    high: {
+        resolution: { maxPixelRatio: 2 },
+        shadows: { enabled: true, useCascadedShadows: false, shadowMapSize: 2048 },
+        postProcessing: { enabled: true, effects: { smaa: { enabled: true }, ssao: { enabled: false } } },
+    },
+    ultra: {
+        resolution: { maxPixelRatio: null },
+        shadows: { enabled: true, useCascadedShadows: true, shadowMapSize: 4096, csm: { cascades: 4 } },
+        postProcessing: { enabled: true, effects: { smaa: { enabled: true }, ssao: { enabled: true } } },
+    },
+};
@@ -1,11 +1,13 @@
 // src/viewer/GraphicsManager.js
 
+import { Vector2 } from 'three';
 import { PostProcessingManager } from './graphics/PostProcessingManager.js';
 import { DayNightCycleManager } from './graphics/DayNightCycleManager.js';
 import { ShadowManager } from './graphics/ShadowManager.js';
 import { MaterialManager } from './graphics/MaterialManager.js';
 import { FogManager } from './graphics/FogManager.js';
 import { ParticleManager } from './graphics/ParticleManager.js';
+import { diffObjects } from './utils/deepMerge.js';
 
 export class GraphicsManager {
     constructor(scene, camera, renderer, lights, stars) {
@@ -21,22 +23,24 @@ export class GraphicsManager {
         this.particleManager = null;
         this.dayNightCycleManager = null;
         this.postProcessingManager = null;
+
+        this.config = null;
+        // Everything passed to setMap/processObject, so a rebuilt ShadowManager can set it up again.
+        this.mapObject = null;
+        this.objects = new Set();
     }
 
     init(config) {
         console.log('[GraphicsManager] Initializing with config:', config);
-        this.renderer.shadowMap.enabled = config.shadows.enabled;
-
-        if (config.shadows.enabled) {
-            this.shadowManager = new ShadowManager(this.scene, this.camera, this.renderer, this.lights.sun);
-            this.shadowManager.init(config.shadows);
-        }
+        this.config = config;
+        this._applyPixelRatio(config.resolution);
+        this._createShadows(config.shadows);
         this.materialManager = new MaterialManager();
         this.materialManager.init(config.materials, this.shadowManager);
 
         if (config.environment.useAtmosphericFog) {
             this.fogManager = new FogManager(this.scene);
-            this.fogManager.init();
+            this.fogManager.init(config.environment.fog);
         }
         if (config.environment.useParticleSystem) {
             this.particleManager = new ParticleManager(this.scene);
@@ -47,10 +51,103 @@ export class GraphicsManager {
             this.dayNightCycleManager = new DayNightCycleManager(this.scene, this.lights, this.stars);
             this.dayNightCycleManager.init(config.environment.dayNightCycle);
         }
-        if (config.postProcessing.enabled) {
-            this.postProcessingManager = new PostProcessingManager(this.scene, this.camera, this.renderer);
-            this.postProcessingManager.init(config.postProcessing.effects);
+        if (config.postProcessing.enabled) this._createPostProcessing(config.postProcessing.effects);
+        this.renderer.toneMappingExposure = config.toneMapping.exposure;
+    }
+
+    /**
+     * Switches to new settings while running, building or tearing down the managers and
+     * post passes they turn on or off. Objects already passed to `setMap`/`processObject`
+     * are set up again for rebuilt shadows; enhanced materials only reach objects processed
+     * afterwards. The day/night clock keeps running (see `setTimeOfDay`).
+     * @param {object} config The full graphics config.
+     */
+    setConfig(config) {
+        const previous = this.config;
+        this.config = config;
+        let recompile = false;
+
+        this._applyPixelRatio(config.resolution);
+        this.renderer.toneMappingExposure = config.toneMapping.exposure;
+
+        // Any change to shadows means a new ShadowManager: the technique, cascades and
+        // map size are all baked in when it's built.
+        if (diffObjects(previous.shadows, config.shadows)) {
+            this.shadowManager?.dispose(); // Also strips CSM from the materials it set up.
+            this.shadowManager = null;
+            this._createShadows(config.shadows);
+            if (this.shadowManager) {
+                if (this.mapObject) this.shadowManager.setMap(this.mapObject);
+                for (const object of this.objects) this.shadowManager.processObject(object);
+            }
+            this._syncSunDistance();
+            recompile = true;
+        }
+        this.materialManager.init(config.materials, this.shadowManager);
+
+        const environment = config.environment;
+        if (environment.useAtmosphericFog && !this.fogManager) {
+            this.fogManager = new FogManager(this.scene);
+            recompile = true;
+        } else if (!environment.useAtmosphericFog && this.fogManager) {
+            this.fogManager.dispose();
+            this.fogManager = null;
+            recompile = true;
+        }
+        this.fogManager?.init(environment.fog);
+
+        if (environment.useParticleSystem && !this.particleManager) {
+            this.particleManager = new ParticleManager(this.scene);
+            this.particleManager.init();
+        } else if (!environment.useParticleSystem && this.particleManager) {
+            this.particleManager.dispose();
+            this.particleManager = null;
+        }
+
+        if (environment.dayNightCycle.enabled && !this.dayNightCycleManager) {
+            this.dayNightCycleManager = new DayNightCycleManager(this.scene, this.lights, this.stars);
+            this.dayNightCycleManager.init(environment.dayNightCycle);
+            this._syncSunDistance();
+        } else if (!environment.dayNightCycle.enabled && this.dayNightCycleManager) {
+            this.dayNightCycleManager.dispose();
+            this.dayNightCycleManager = null;
+        } else if (this.dayNightCycleManager) {
+            this.dayNightCycleManager.config = environment.dayNightCycle;
+        }
+
+        // `update` toggles existing passes; a newly enabled effect needs the composer rebuilt
+        // so its pass lands in the right order.
+        const effects = config.postProcessing.effects;
+        const missingPass = Object.keys(effects).some(name =>
+            effects[name].enabled && !this.postProcessingManager?.passes[name]);
+        if (!config.postProcessing.enabled || missingPass) {
+            this.postProcessingManager?.dispose();
+            this.postProcessingManager = null;
+        }
+        if (config.postProcessing.enabled && !this.postProcessingManager) {
+            this._createPostProcessing(effects);
+        } else {
+            this.postProcessingManager?.configure(effects);
+        }
+
+        if (recompile) {
+            // Shadow type and fog are compiled into the shaders.
+            this.scene.traverse(node => {
+                if (!node.material) return;
+                for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+                    material.needsUpdate = true;
+                }
+            });
         }
+        console.log('[GraphicsManager] Reconfigured.');
+    }
+
+    /**
+     * Jumps the day/night cycle to a time of day, e.g. a new world's start time.
+     * @param {number} time The sun angle in radians (see GraphicsConfig).
+     */
+    setTimeOfDay(time) {
+        if (this.dayNightCycleManager) this.dayNightCycleManager.timeOfDay = time;
     }
 
     /**
@@ -59,24 +156,44 @@ export class GraphicsManager {
      * @param {THREE.Object3D} mapObject The main scene object for the map.
      */
     setMap(mapObject) {
+        this.mapObject = mapObject;
         if (this.shadowManager) {
             this.shadowManager.setMap(mapObject);
-
-            // After the shadow manager calculates the optimal sun distance, we must
-            // pass that value to the DayNightCycleManager. This synchronizes the
-            // sun's physical position with the shadow camera's frustum settings.
-            if (this.dayNightCycleManager) {
-                const optimalDistance = this.shadowManager.getSunDistance();
-                this.dayNightCycleManager.setSunDistance(optimalDistance);
-            }
+            this._syncSunDistance();
         }
     }
 
     processObject(object) {
+        this.objects.add(object);
         if (this.shadowManager) this.shadowManager.processObject(object);
         if (this.materialManager) this.materialManager.processObject(object);
     }
 
+    /**
+     * Undoes `processObject` for an object that is about to be removed and disposed,
+     * such as the previous map when switching worlds.
+     * @param {THREE.Object3D} object
+     */
+    releaseObject(object) {
+        this.objects.delete(object);
+        if (this.mapObject === object) this.mapObject = null;
+        if (this.shadowManager) this.shadowManager.releaseObject(object);
+    }
+
+    /**
+     * Sets up a material created for an already processed object (e.g. a faded copy) the
+     * way `processObject` set up the original. Pair with `releaseMaterial`.
+     * @param {THREE.Material} material
+     */
+    setupMaterial(material) {
+        if (this.shadowManager) this.shadowManager.setupMaterial(material);
+    }
+
+    /** @param {THREE.Material} material A material passed to `setupMaterial`, about to be disposed. */
+    releaseMaterial(material) {
+        if (this.shadowManager) this.shadowManager.releaseMaterial(material);
+    }
+
     update(delta, config, worldState) {
         if (this.dayNightCycleManager) this.dayNightCycleManager.update(delta, worldState.playerPosition);
         if (this.fogManager) this.fogManager.update(worldState);
@@ -103,5 +220,40 @@ export class GraphicsManager {
         this.particleManager?.dispose();
         this.dayNightCycleManager?.dispose();
         this.postProcessingManager?.dispose();
+        this.objects.clear();
+        this.mapObject = null;
+    }
+
+    _createShadows(config) {
+        this.renderer.shadowMap.enabled = config.enabled;
+        if (!config.enabled) return;
+        this.shadowManager = new ShadowManager(this.scene, this.camera, this.renderer, this.lights.sun);
+        this.shadowManager.init(config);
+    }
+
+    _createPostProcessing(effects) {
+        this.postProcessingManager = new PostProcessingManager(this.scene, this.camera, this.renderer);
+        this.postProcessingManager.init(effects);
+        const size = this.renderer.getSize(new Vector2());
+        this.postProcessingManager.onResize(size.x, size.y);
+    }
+
+    /**
+     * After the shadow manager calculates the optimal sun distance, we must pass that
+     * value to the DayNightCycleManager. This synchronizes the sun's physical position
+     * with the shadow camera's frustum settings.
+     */
+    _syncSunDistance() {
+        if (this.shadowManager && this.dayNightCycleManager) {
+            this.dayNightCycleManager.setSunDistance(this.shadowManager.getSunDistance());
+        }
+    }
+
+    _applyPixelRatio(resolution) {
+        const ratio = Math.min(resolution.pixelRatio ?? window.devicePixelRatio, resolution.maxPixelRatio ?? Infinity)
+            * resolution.renderScale;
+        if (ratio === this.renderer.getPixelRatio()) return;
+        this.renderer.setPixelRatio(ratio);
+        this.postProcessingManager?.setPixelRatio(ratio);
     }
 }
\ No newline at end of file
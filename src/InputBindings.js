@@ -0,0 +1,273 @@
+// src/viewer/InputBindings.js
+
+import { EventEmitter } from './utils/EventEmitter.js';
+
+/**
+ * Action → inputs. Inputs are named as follows:
+ *  - keys by their physical `KeyboardEvent.code` ('KeyW', 'Space', 'ShiftLeft'), so the
+ *    layout doesn't matter: on AZERTY 'KeyW' is the key labelled Z;
+ *  - mouse buttons as 'Mouse0' (left), 'Mouse1' (middle), 'Mouse2' (right), …;
+ *  - gamepad buttons by their standard-mapping index, 'Gamepad0' (A / Cross) to
+ *    'Gamepad15' (d-pad right); see https://w3c.github.io/gamepad/#remapping;
+ *  - gamepad sticks as 'GamepadLeftStick' and 'GamepadRightStick'.
+ */
+export const DefaultBindings = Object.freeze({
+    forward:  ['KeyW', 'ArrowUp', 'Gamepad12'],
+    backward: ['KeyS', 'ArrowDown', 'Gamepad13'],
+    left:     ['KeyA', 'ArrowLeft', 'Gamepad14'],
+    right:    ['KeyD', 'ArrowRight', 'Gamepad15'],
+    jump:     ['Space', 'Gamepad0'],
+    sprint:   ['ShiftLeft', 'ShiftRight', 'Gamepad5', 'Gamepad10'],
+    interact: ['KeyE', 'Gamepad2'],
+    look:     ['Mouse0', 'GamepadRightStick'],
+    move:     ['GamepadLeftStick'],
+});
+
+/**
+ * How mouse look is held: 'hold' looks while the look input is held down, 'toggle'
+ * locks the pointer on one press and releases it on the next (or on Escape).
+ */
+export const LookMode = Object.freeze({
+    HOLD: 'hold',
+    TOGGLE: 'toggle',
+});
+
+// Which kinds of input each action accepts. Sticks are analog, so they only drive the
+// analog actions; `move` has no digital form (the direction actions cover keys).
+const ACTION_INPUTS = {
+    forward: ['key', 'mouse', 'gamepad'],
+    backward: ['key', 'mouse', 'gamepad'],
+    left: ['key', 'mouse', 'gamepad'],
+    right: ['key', 'mouse', 'gamepad'],
+    jump: ['key', 'mouse', 'gamepad'],
+    sprint: ['key', 'mouse', 'gamepad'],
+    interact: ['key', 'mouse', 'gamepad'],
+    look: ['key', 'mouse', 'stick'],
+    move: ['stick'],
+};
+
+const STORAGE_VERSION = 1;
+
+/** Rebinding would take an input another action already uses. */
+export class BindingConflictError extends Error {
+    constructor(input, action, conflictingAction) {
+        super(`'${input}' is already bound to '${conflictingAction}'.`);
+        this.name = 'BindingConflictError';
+        this.input = input;
+        this.action = action;
+        this.conflictingAction = conflictingAction;
+    }
+}
+
+/**
+ * The action map between physical inputs and game controls.
+ *
+ * Each input drives at most one action; an action may have several inputs. Changes are
+ * saved to localStorage under `storageKey` and restored by the next InputBindings with
+ * the same key, layered over the defaults so actions added later still get theirs.
+ *
+ * Events: 'change' with `{ bindings, lookMode }` after any rebinding or look mode change.
+ */
+export class InputBindings extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.bindings] Action → inputs, replacing those actions' defaults.
+     *        An input named here is taken from any other action's defaults, as `rebind`
+     *        with `force` would; naming it for two actions throws a BindingConflictError.
+     *        Saved bindings still win the same way; they're the player's own choice.
+     * @param {string} [options.lookMode] A LookMode; 'hold' by default.
+     * @param {string|false} [options.storageKey] The localStorage key, or `false` not to persist.
+     */
+    constructor({ bindings = {}, lookMode = LookMode.HOLD, storageKey = 'bulimaps.inputBindings' } = {}) {
+        super();
+        this.storageKey = storageKey;
+        this.defaults = overlayBindings(DefaultBindings, bindings);
+        this.defaultLookMode = lookMode;
+        this.bindings = copyBindings(this.defaults);
+        this.lookMode = lookMode;
+        this._inputs = new Map(); // input → action
+
+        const saved = this._load();
+        if (saved) {
+            this.bindings = overlayBindings(this.bindings, saved.bindings);
+            if (Object.values(LookMode).includes(saved.lookMode)) this.lookMode = saved.lookMode;
+        }
+        this._index();
+    }
+
+    /** @returns {string|null} The action an input drives. */
+    actionFor(input) {
+        return this._inputs.get(input) ?? null;
+    }
+
+    /** @returns {string[]} The inputs bound to an action, in slot order. */
+    inputsFor(action) {
+        return [...(this.bindings[action] ?? [])];
+    }
+
+    /** @returns {object} A copy of every action's inputs. */
+    getBindings() {
+        return copyBindings(this.bindings);
+    }
+
+    /**
+     * @returns {string|null} The other action that `input` is bound to, which binding it to
+     *          `action` would take it from, or null.
+     */
+    getConflict(action, input) {
+        const current = this.actionFor(input);
+        return current !== null && current !== action ? current : null;
+    }
+
+    /**
+     * Binds an input to an action.
+     * @param {string} action
+     * @param {string} input See DefaultBindings for the names.
+     * @param {object} [options]
+     * @param {number} [options.slot] Replace the input at this position instead of adding one.
+     * @param {boolean} [options.force] Take the input from the action it's bound to instead
+     *        of throwing a BindingConflictError.
+     */
+    rebind(action, input, { slot, force = false } = {}) {
+        this._validate(action, input);
+        const conflict = this.getConflict(action, input);
+        if (conflict && !force) throw new BindingConflictError(input, action, conflict);
+        if (conflict) this.bindings[conflict] = this.bindings[conflict].filter(i => i !== input);
+
+        const inputs = this.bindings[action].filter(i => i !== input);
+        if (slot !== undefined && slot < inputs.length) inputs.splice(slot, 1, input);
+        else inputs.push(input);
+        this.bindings[action] = inputs;
+        this._changed();
+    }
+
+    /** Removes an input from an action; without `input`, clears the action. */
+    unbind(action, input) {
+        this._validate(action);
+        this.bindings[action] = input === undefined ? [] : this.bindings[action].filter(i => i !== input);
+        this._changed();
+    }
+
+    /** Restores the defaults for one action, or every action and the look mode. */
+    reset(action) {
+        if (action === undefined) {
+            this.bindings = copyBindings(this.defaults);
+            this.lookMode = this.defaultLookMode;
+        } else {
+            this._validate(action);
+            // Defaults of other actions may have been rebound to this one's default inputs.
+            for (const input of this.defaults[action]) {
+                const current = this.actionFor(input);
+                if (current && current !== action) {
+                    this.bindings[current] = this.bindings[current].filter(i => i !== input);
+                }
+            }
+            this.bindings[action] = [...this.defaults[action]];
+        }
+        this._changed();
+    }
+
+    /** @param {string} mode A LookMode. */
+    setLookMode(mode) {
+        if (!Object.values(LookMode).includes(mode)) throw new Error(`Unknown look mode '${mode}'.`);
+        if (mode === this.lookMode) return;
+        this.lookMode = mode;
+        this._changed();
+    }
+
+    _validate(action, input) {
+        const kinds = ACTION_INPUTS[action];
+        if (!kinds) throw new Error(`Unknown action '${action}'.`);
+        if (input === undefined) return;
+        const kind = inputKind(input);
+        if (!kind) throw new Error(`Unknown input '${input}'.`);
+        if (!kinds.includes(kind)) throw new Error(`'${action}' can't be bound to '${input}'.`);
+    }
+
+    _index() {
+        this._inputs.clear();
+        for (const [action, inputs] of Object.entries(this.bindings)) {
+            for (const input of inputs) {
+                const current = this._inputs.get(input);
+                if (current && current !== action) throw new BindingConflictError(input, action, current);
+                this._inputs.set(input, action);
+            }
+        }
+    }
+
+    _changed() {
+        this._index();
+        this._save();
+        this.emit('change', { bindings: this.getBindings(), lookMode: this.lookMode });
+    }
+
+    // Storage can be missing, full or blocked (private browsing, sandboxed iframes); the
+    // bindings then simply last for this session.
+    _load() {
+        if (!this.storageKey) return null;
+        try {
+            const saved = JSON.parse(globalThis.localStorage?.getItem(this.storageKey) ?? 'null');
+            if (saved?.version !== STORAGE_VERSION) return null;
+            const bindings = {};
+            const claimed = new Set();
+            for (const [action, inputs] of Object.entries(saved.bindings ?? {})) {
+                const kinds = ACTION_INPUTS[action];
+                if (!kinds || !Array.isArray(inputs)) continue;
+                // A hand-edited save may list an input twice; the first action keeps it.
+                bindings[action] = inputs.filter(input => kinds.includes(inputKind(input)) && !claimed.has(input));
+                for (const input of bindings[action]) claimed.add(input);
+            }
+            return { bindings, lookMode: saved.lookMode };
+        } catch (error) {
+            console.warn('[InputBindings] Ignoring unreadable saved bindings:', error);
+            return null;
+        }
+    }
+
+    _save() {
+        if (!this.storageKey) return;
+        try {
+            globalThis.localStorage?.setItem(this.storageKey, JSON.stringify({
+                version: STORAGE_VERSION,
+                bindings: this.bindings,
+                lookMode: this.lookMode,
+            }));
+        } catch (error) {
+            console.warn('[InputBindings] Could not save bindings:', error);
+        }
+    }
+}
+
+/** @returns {'key'|'mouse'|'gamepad'|'stick'|null} */
+export function inputKind(input) {
+    if (typeof input !== 'string') return null;
+    if (/^Mouse\d$/.test(input)) return 'mouse';
+    if (/^Gamepad\d{1,2}$/.test(input)) return 'gamepad';
+    if (input === 'GamepadLeftStick' || input === 'GamepadRightStick') return 'stick';
+    if (/^[A-Z][A-Za-z0-9]+$/.test(input)) return 'key';
+    return null;
+}
+
+/**
+ * `base` with `layer`'s actions replaced, and every input `layer` names taken out of
+ * `base`'s other actions so each input still drives one action.
+ */
+function overlayBindings(base, layer) {
+    const result = copyBindings(base);
+    const claimed = new Map(); // input → action in `layer`
+    for (const [action, inputs] of Object.entries(layer)) {
+        for (const input of inputs) {
+            const other = claimed.get(input);
+            if (other && other !== action) throw new BindingConflictError(input, action, other);
+            claimed.set(input, action);
+        }
+    }
+    for (const action of Object.keys(result)) {
+        if (!(action in layer)) result[action] = result[action].filter(input => !claimed.has(input));
+    }
+    return { ...result, ...copyBindings(layer) };
+}
+
+function copyBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings).map(([action, inputs]) => [action, [...inputs]]));
+}
@@ -0,0 +1,15 @@
+// src/PhysicsConfig.js
+
+// Defaults for the character controller. A world can override any of these with a
+// `physics` object in its glTF scene extras, which is deep-merged over them at load.
+export const PhysicsConfig = {
+    // --- Character Controller ---
+    character: {
+        maxSlopeAngle: 50,        // Degrees. Steeper ground can't be walked up and slides the player down.
+        stepHeight: 0.35,         // Ledges up to this height are stepped onto; taller ones block.
+        slideAcceleration: 12,    // m/s² along a too-steep slope (scaled by the slope's steepness).
+        maxSlideSpeed: 10,        // m/s cap for sliding.
+        uphillSpeedFactor: 0.6,   // Speed multiplier walking straight up the steepest walkable slope.
+        downhillSpeedFactor: 1.15 // Speed multiplier walking straight down it.
+    },
+};
@@ -1,24 +1,62 @@
 import * as THREE from 'three';
+import { CharacterCollider } from './physics/CharacterCollider.js';
+import { PhysicsConfig } from './PhysicsConfig.js';
+import { AnimationStateMachine } from './animation/AnimationStateMachine.js';
+import { DefaultAnimationGraph } from './animation/AnimationGraphs.js';
+import { deepMerge } from './utils/deepMerge.js';
+import { EventEmitter } from './utils/EventEmitter.js';
+import { disposeObject } from './utils/disposeObject.js';
 
 const GRAVITY              = -15;
 const JUMP_FORCE           = 8;
-const RAYCAST_HEIGHT       = 5.0;
 const GROUNDED_BUFFER_TIME = 0.2;
 const GROUND_TOLERANCE     = 0.1;
-const SPAWN_ALTITUDE       = 240;
 const SPAWN_INITIAL_VELOCITY = -1.0;
 // FIX: Add constants for movement speeds.
 const WALK_SPEED           = 2.5;
 const SPRINT_SPEED         = 5.0;
-
-export class Player {
-    constructor(scene) {
+const SPRINT_ACCELERATION  = 5.0;   // m/s² while ramping from walk to sprint speed
+const TANK_TURN_SPEED      = 3;     // rad/s for A/D in tank mode
+const FULL_TILT            = 0.9;   // stick throttle that counts as full speed for auto-sprint
+const FACING_TURN_RATE     = 12;    // how quickly the model turns to face its movement (camera mode)
+const DOWN                 = new THREE.Vector3(0, -1, 0);
+
+/**
+ * How WASD is interpreted.
+ *  - TANK:   A/D rotate the character, W/S move along its facing.
+ *  - CAMERA: WASD move relative to the camera (with strafing); the character
+ *            turns to face the direction it is moving in.
+ */
+export const MovementMode = Object.freeze({
+    TANK: 'tank',
+    CAMERA: 'camera',
+});
+
+/**
+ * The player character: movement, physics and animation.
+ *
+ * Events:
+ *  - 'jumped'           the player left the ground by jumping.
+ *  - 'respawned'        `reset()` moved the player to its spawn point; called with the
+ *                       reason ('restart', 'killPlane', or whatever the caller passed).
+ *  - 'animationchanged' the animation state changed; called with (state, previous).
+ */
+export class Player extends EventEmitter {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} [physics] Character controller settings (see PhysicsConfig.character).
+     */
+    constructor(scene, physics = PhysicsConfig.character) {
+        super();
         this.scene   = scene;
+        this.physics = physics;
+        this.movementMode = MovementMode.TANK;
         this.model   = null;
         this.mixer   = null;
-        this.animations = {};
-        this.currentAnimation = null;
-        this.spawnPoint = new THREE.Vector3();
+        this.animator = null;
+        this.spawnPoint = new THREE.Vector3();   // where the feet go on (re)spawn
+        this.spawnRotationY = Math.PI;
+        this.killPlaneY = -50;                    // falling below this respawns the player
 
         this.state = {
             idle      : false,
@@ -26,19 +64,100 @@ export class Player {
             sprinting : false,
             jumping   : true,
             falling   : true,
+            sliding   : false,
         };
 
         this.verticalVelocity  = SPAWN_INITIAL_VELOCITY;
+        this.slideSpeed        = 0;
+        this.ground            = null;   // last ground probe result, see _probeGround
+        this._lastDrop         = 0;      // how far the last step fell; lets the probe reach back up
         this.walkToSprintTime  = 0;
+        this.moveSpeed         = 0;      // intended ground speed; ramps walk → sprint
         this.timeSinceGrounded = GROUNDED_BUFFER_TIME + 0.01;
 
         this.feetOffset = 0;
+        this.collider = null;
+
+        // Render interpolation: the model shows a blend of the last two simulated
+        // transforms between fixed steps (see interpolate / restoreSimulationState).
+        this._previousPosition   = new THREE.Vector3();
+        this._previousQuaternion = new THREE.Quaternion();
+        this._simPosition        = new THREE.Vector3();
+        this._simQuaternion      = new THREE.Quaternion();
+        this._interpolated       = false;
+    }
+
+    /**
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3} The simulated position of the character's feet.
+     */
+    getFeetPosition(target = new THREE.Vector3()) {
+        const position = this._interpolated ? this._simPosition : this.model.position;
+        return target.copy(position).setY(position.y - this.feetOffset);
+    }
+
+    /** The animation graph's current state (e.g. 'idle', 'locomotion', 'fall'). */
+    get currentAnimation() {
+        return this.animator?.current ?? null;
     }
 
     /*───────────────────────────────────────────────────────────────────────
      * LOAD THE PLAYER MODEL & ANIMATIONS
      *───────────────────────────────────────────────────────────────────────*/
-    async load(gltf, mapCollider) {
+    /**
+     * @param {object} gltf The character GLTF.
+     * @param {{position: THREE.Vector3, rotationY: number}} spawn Where to put the feet, and the facing.
+     * @param {object} [animationGraph] Overrides merged over DefaultAnimationGraph and the
+     *        character's own `animationGraph` glTF extras.
+     */
+    async load(gltf, spawn, animationGraph) {
+        this.setModel(gltf, animationGraph);
+        this.setSpawnPoint(spawn.position, spawn.rotationY);
+
+        /*───────────── spawn position ─────────────*/
+        this.model.position.copy(this.spawnPoint);
+        this.model.position.y += this.feetOffset;
+        this.model.rotation.y = this.spawnRotationY;
+        this._snapPrevious();
+    }
+
+    /**
+     * Sets where `reset()` (and falling below the kill plane) puts the player.
+     * @param {THREE.Vector3} position Feet position.
+     * @param {number} [rotationY] Facing, in radians.
+     */
+    setSpawnPoint(position, rotationY = this.spawnRotationY) {
+        this.spawnPoint.copy(position);
+        this.spawnRotationY = rotationY;
+    }
+
+    /**
+     * Swaps the character controller settings, e.g. when a new world brings its own.
+     * @param {object} physics See PhysicsConfig.character.
+     */
+    setPhysics(physics) {
+        this.physics = physics;
+        if (!this.collider) return;
+        this.collider = new CharacterCollider(this.collider.height, {
+            stepOffset: physics.stepHeight,
+            maxSlopeAngle: physics.maxSlopeAngle,
+        });
+    }
+
+    /**
+     * Puts a character model in place. Called again at runtime this swaps the
+     * character: position, facing, velocity and gameplay state carry over, and
+     * the old model is removed and disposed.
+     * @param {object} gltf The character GLTF.
+     * @param {object} [animationGraph] See `load`.
+     * @returns {THREE.Object3D} The new model.
+     */
+    setModel(gltf, animationGraph) {
+        const previous = this.model;
+        const previousFeetOffset = this.feetOffset;
+        const previousAnimation = this.currentAnimation;
+        this.restoreSimulationState();
+
         this.model = gltf.scene;
         this.model.scale.set(0.5, 0.5, 0.5);
 
@@ -50,60 +169,123 @@ export class Player {
 
         const bbox = new THREE.Box3().setFromObject(this.model);
         this.feetOffset = -bbox.min.y;
-
-        /*───────────── spawn position ─────────────*/
-        const worldBox = new THREE.Box3();
-        for (const mesh of mapCollider) worldBox.expandByObject(mesh);
-        const center = worldBox.getCenter(new THREE.Vector3());
-
-        this.spawnPoint.set(center.x, worldBox.max.y + SPAWN_ALTITUDE, center.z);
-        this.model.position.copy(this.spawnPoint);
-        this.model.rotation.y = Math.PI;
-        this.scene.add(this.model);
+        this.collider = new CharacterCollider(bbox.max.y - bbox.min.y, {
+            stepOffset: this.physics.stepHeight,
+            maxSlopeAngle: this.physics.maxSlopeAngle,
+        });
 
         /*───────────── animations ────────────────*/
+        const graph = deepMerge(deepMerge(DefaultAnimationGraph, gltf.scene.userData.animationGraph), animationGraph);
+        this.mixer?.stopAllAction();
         this.mixer = new THREE.AnimationMixer(this.model);
-        gltf.animations.forEach(clip => {
-            const name = clip.name.split('|')[1]?.toLowerCase() || clip.name.toLowerCase();
-            if (name === 'grounded') return;    // skip faulty clip
-            this.animations[name] = this.mixer.clipAction(clip);
-        });
-        Object.values(this.animations).forEach(a => a.stop());
-        this._switchAnimation('jump', 0);
+        this.animator = new AnimationStateMachine(this.mixer, gltf.animations, graph);
+        this.animator.onStateChange = (state, previousState) => this.emit('animationchanged', state, previousState);
+        this.animator.play(previousAnimation ?? graph.initial, 0);
+
+        if (previous) {
+            // Keep the feet where they were; the new model may be taller or shorter.
+            this.model.position.set(
+                previous.position.x,
+                previous.position.y - previousFeetOffset + this.feetOffset,
+                previous.position.z,
+            );
+            this.model.quaternion.copy(previous.quaternion);
+            this.scene.remove(previous);
+            disposeObject(previous);
+        }
+        this.scene.add(this.model);
+        this._snapPrevious();
+        return this.model;
     }
 
-    reset() {
+    /**
+     * Moves the player back to its spawn point.
+     * @param {string} [reason] Passed on to 'respawned' listeners.
+     */
+    reset(reason = 'restart') {
         if (!this.model) return;
         this.model.position.copy(this.spawnPoint);
+        this.model.position.y += this.feetOffset;
         this.model.rotation.x = 0; // Reset dive tilt
-        this.model.rotation.y = Math.PI; // Flip player on respawn
+        this.model.rotation.y = this.spawnRotationY;
         this.verticalVelocity  = SPAWN_INITIAL_VELOCITY;
+        this.slideSpeed        = 0;
+        this._lastDrop         = 0;
         this.timeSinceGrounded = GROUNDED_BUFFER_TIME + 0.01;
-        this.state = { idle: false, walking: false, sprinting: false, jumping: true, falling: true };
-        this._switchAnimation('jump', 0.1);
+        this.moveSpeed         = 0;
+        this.walkToSprintTime  = 0;
+        this.ground            = null;
+        this.state = { idle: false, walking: false, sprinting: false, jumping: true, falling: true, sliding: false };
+        this.animator.play(this.animator.graph.initial, 0.1);
+        // A respawn is a teleport: don't interpolate across it.
+        this._interpolated = false;
+        this._snapPrevious();
+        this.emit('respawned', reason);
+    }
+
+    /*───────────────────────────────────────────────────────────────────────
+     * RENDER INTERPOLATION
+     *───────────────────────────────────────────────────────────────────────*/
+
+    /**
+     * Blends the model between the previous and current simulated transforms.
+     * Call once per rendered frame, after all fixed steps for that frame have run.
+     * @param {number} alpha Fraction of a fixed step left in the accumulator (0..1).
+     */
+    interpolate(alpha) {
+        if (!this.model) return;
+        this._simPosition.copy(this.model.position);
+        this._simQuaternion.copy(this.model.quaternion);
+        this.model.position.lerpVectors(this._previousPosition, this._simPosition, alpha);
+        this.model.quaternion.slerpQuaternions(this._previousQuaternion, this._simQuaternion, alpha);
+        this._interpolated = true;
+    }
+
+    /** Puts the model back on its simulated transform before the next fixed steps run. */
+    restoreSimulationState() {
+        if (!this.model || !this._interpolated) return;
+        this.model.position.copy(this._simPosition);
+        this.model.quaternion.copy(this._simQuaternion);
+        this._interpolated = false;
+    }
+
+    _snapPrevious() {
+        this._previousPosition.copy(this.model.position);
+        this._previousQuaternion.copy(this.model.quaternion);
     }
 
      /*───────────────────────────────────────────────────────────────────────
       * MAIN UPDATE LOOP  —  COPY‑PASTE OVER THE CURRENT METHOD
       *───────────────────────────────────────────────────────────────────────*/
-     update(delta, controls, mapCollider, raycaster) {
-         if (!this.model || !this.mixer) return;
+     /**
+      * @param {number} delta Fixed step length in seconds.
+      * @param {object} controls The shared controls state.
+      * @param {CollisionWorld} mapCollider
+      * @param {number} [cameraAzimuth] The camera's azimuth; required for MovementMode.CAMERA.
+      */
+     update(delta, controls, mapCollider, cameraAzimuth) {
+         if (!this.model || !this.animator) return;
+         this._snapPrevious();
 
          /*────────────────── constants ──────────────────*/
          const AIR_CONTROL_FACTOR   = 0.6;   // ≤ 1.0  (horizontal speed in air)
          const TERMINAL_VELOCITY    = -45;   // m/s downward cap
-         const FALL_ANIM_DELAY      = 0.40;  // keep “jump” clip this long
 
          /*────────────────── ground check ───────────────*/
+         const cfg = this.physics;
          const wasGrounded = this.timeSinceGrounded < GROUNDED_BUFFER_TIME;
 
-         const rayOrigin = this.model.position.clone();
-         rayOrigin.y += RAYCAST_HEIGHT;
-         raycaster.set(rayOrigin, new THREE.Vector3(0, -1, 0));
-         const hits = raycaster.intersectObjects(mapCollider, true);
-         const grounded = hits.length > 0 &&
-                          hits[0].distance <
-                          (RAYCAST_HEIGHT + this.feetOffset + GROUND_TOLERANCE);
+         // Reach up by one step (curbs) plus however far we fell last tick (so a fast
+         // fall that crossed the floor is still caught), but never higher: taller
+         // surfaces are walls or cliffs, not ground.
+         const ground = this._probeGround(mapCollider, cfg.stepHeight + this._lastDrop);
+         const descending = this.verticalVelocity <= 0;
+         // While walking, stick to ground up to a step below us (stairs, downhill).
+         const snapDistance = wasGrounded && descending && !this.state.jumping ? cfg.stepHeight : GROUND_TOLERANCE;
+         const onSurface = ground !== null && ground.height < snapDistance;
+         const grounded = onSurface && ground.slopeAngle <= cfg.maxSlopeAngle;
+         const sliding  = onSurface && !grounded && descending;
+         this.state.sliding = sliding;
 
          if (grounded) {
              this.timeSinceGrounded = 0;
@@ -112,6 +294,10 @@ export class Player {
                  this.state.jumping  = false;
                  this.model.rotation.x = 0;  // clear dive tilt
              }
+         } else if (sliding) {
+             this.timeSinceGrounded += delta;
+             this.state.falling = false;
+             this.state.jumping = false;
          } else {
              this.timeSinceGrounded += delta;
              if (this.timeSinceGrounded > GROUNDED_BUFFER_TIME && !this.state.jumping) {
@@ -124,10 +310,7 @@ export class Player {
 
          /*────────────────── leave ground ───────────────*/
          if (justLeftGround) {
-             // stop walk / sprint clips but **do not clear sprint flag or timer**
-             if (this.currentAnimation === 'walk' || this.currentAnimation === 'sprint') {
-                 this._switchAnimation('idle', 0.15);   // idle = fall placeholder
-             }
+             // the animation graph moves to 'fall'; **do not clear sprint flag or timer**
              this.state.walking = false;   // airborne ≠ walking
              // note: this.state.sprinting stays as‑is ─ important!
          }
@@ -135,7 +318,8 @@ export class Player {
          /*────────────────── jump input ────────────────*/
          if (grounded && controls.jump) {
              this.verticalVelocity = JUMP_FORCE;
-             this._switchAnimation('jump', 0.1);
+             this.animator.trigger('jump');
+             this.emit('jumped');
 
              // Preserve sprint flag; clear only 'walking'
              this.state = {
@@ -144,27 +328,66 @@ export class Player {
                  sprinting: this.state.sprinting,
                  jumping: true,
                  falling: false,
+                 sliding: false,
              };
          }
 
          /*────────────────── movement input ─────────────*/
-         let moving = false;
-         const dir = new THREE.Vector3();
-         if (controls.forward)  { dir.z =  1; moving = true; }
-         if (controls.backward) { dir.z = -1; moving = true; }
-
-         // allow turning mid‑air
-         if (controls.left)  this.model.rotation.y += 3 * delta;
-         if (controls.right) this.model.rotation.y -= 3 * delta;
+         const startX = this.model.position.x;
+         const startZ = this.model.position.z;
+         // Turning is allowed mid-air in both modes.
+         const dir = this.movementMode === MovementMode.CAMERA
+             ? this._cameraRelativeDirection(controls, delta, cameraAzimuth)
+             : this._tankDirection(controls, delta);
+         const moving = dir !== null;
+         // A half-tilted stick walks at half speed; keys are always full throttle.
+         const throttle = moving ? dir.length() : 0;
 
          if (moving) {
-             const baseSpeed   = this.state.sprinting ? SPRINT_SPEED : WALK_SPEED;
-             const speedFactor = grounded ? 1.0 : AIR_CONTROL_FACTOR;
-             dir.normalize()
-                .applyQuaternion(this.model.quaternion)
-                .multiplyScalar(baseSpeed * speedFactor * delta);
+             dir.divideScalar(throttle);
+             // Ease from walk to sprint speed rather than snapping, so the blend follows.
+             const targetSpeed = this.state.sprinting ? SPRINT_SPEED : WALK_SPEED;
+             this.moveSpeed = Math.max(this.moveSpeed, WALK_SPEED);
+             this.moveSpeed = Math.min(this.moveSpeed + SPRINT_ACCELERATION * delta, targetSpeed);
+             const speedFactor = grounded ? this._slopeSpeedFactor(ground, dir) : AIR_CONTROL_FACTOR;
+             dir.multiplyScalar(this.moveSpeed * throttle * speedFactor * delta);
              this.model.position.add(dir);
+         } else {
+             this.moveSpeed = 0;
+         }
+
+         /*────────────────── slope sliding ──────────────*/
+         if (sliding) {
+             // The horizontal part of the surface normal points downhill.
+             const downhill = new THREE.Vector3(ground.normal.x, 0, ground.normal.z).normalize();
+             const steepness = Math.sin(THREE.MathUtils.degToRad(ground.slopeAngle));
+             this.slideSpeed = Math.min(this.slideSpeed + cfg.slideAcceleration * steepness * delta, cfg.maxSlideSpeed);
+             this.model.position.addScaledVector(downhill, this.slideSpeed * delta);
+         } else {
+             this.slideSpeed = 0;
+         }
+
+         /*────────────────── wall collision ─────────────*/
+         // Runs even when standing still so a respawn inside geometry still gets pushed out.
+         this.collider.resolve(this.model.position, this.feetOffset, mapCollider);
+
+         /*────────────────── step up / down ─────────────*/
+         // Re-probe where we ended up. Grounded movement may climb at most one step,
+         // and never onto ground too steep to stand on.
+         let support = null;
+         if ((grounded || sliding) && descending) {
+             support = this._probeGround(mapCollider, cfg.stepHeight);
+             const blocked = support !== null && support.height < 0 &&
+                             support.slopeAngle > cfg.maxSlopeAngle && !sliding;
+             if (blocked) {
+                 this.model.position.x = startX;
+                 this.model.position.z = startZ;
+                 support = ground;
+             } else if (support === null || support.height > cfg.stepHeight) {
+                 support = null;  // walked off a ledge
+             }
          }
+         this.ground = support || ground;
 
          /*────────────────── vertical physics ───────────*/
          this.verticalVelocity += GRAVITY * delta;
@@ -172,53 +395,50 @@ export class Player {
              this.verticalVelocity = TERMINAL_VELOCITY;
          }
 
-         if (grounded && this.verticalVelocity < 0) {
+         if (support && this.verticalVelocity < 0) {
              this.verticalVelocity = 0;
-             this.model.position.y = hits[0].point.y + this.feetOffset;
+             this.model.position.y = support.point.y + this.feetOffset;
          }
          this.model.position.y += this.verticalVelocity * delta;
+         this._lastDrop = Math.max(0, -this.verticalVelocity * delta);
 
-         /*────────────────── animation state machine ───*/
-         // jump → fall placeholder after short delay
-         if (!grounded &&
-             this.currentAnimation === 'jump' &&
-             this.timeSinceGrounded > FALL_ANIM_DELAY &&
-             this.verticalVelocity < -0.1) {
-             this._switchAnimation('idle', 0.25);       // idle = “fall” clip
-         }
-
+         /*────────────────── gameplay state ────────────*/
          if (grounded) {
              if (moving) {                       // player is moving on the ground
-                 const desiredAnim = this.state.sprinting ? 'sprint' : 'walk';
-
-                 if (this.currentAnimation !== desiredAnim) {
-                     this._switchAnimation(desiredAnim, 0.15);
-                 }
-
-                 // Handle automatic sprint ramp‑up *only* if not already sprinting
-                 if (!this.state.sprinting) {
+                 if (controls.sprint) {
+                     this.state.sprinting = true;    // sprint button skips the ramp‑up
+                 } else if (throttle < FULL_TILT) {
+                     // Easing off the stick drops back to a walk and restarts the ramp‑up
+                     this.walkToSprintTime = 0;
+                     this.state.sprinting = false;
+                 } else if (!this.state.sprinting) {
+                     // Handle automatic sprint ramp‑up *only* if not already sprinting
                      this.walkToSprintTime += delta;
                      if (this.walkToSprintTime > 1.0) {
                          this.state.sprinting = true;
-                         this._switchAnimation('sprint', 0.2);
                      }
                  }
 
                  this.state.idle    = false;
                  this.state.walking = !this.state.sprinting;
              } else {                            // standing still
-                 if (this.currentAnimation !== 'idle') {
-                     this._switchAnimation('idle', 0.3);
-                 }
                  this.walkToSprintTime = 0;
                  this.state = { ...this.state,
                      idle: true, walking: false, sprinting: false };
              }
          }
 
+         /*────────────────── animation ─────────────────*/
+         // The graph (see AnimationGraphs.js) picks the clip from these parameters.
+         this.animator.set('grounded', grounded);
+         this.animator.set('sliding', sliding);
+         this.animator.set('speed', grounded && moving ? this.moveSpeed * throttle : 0);
+         this.animator.set('verticalVelocity', this.verticalVelocity);
+         this.animator.set('airTime', this.timeSinceGrounded);
+
          /*────────────────── housekeeping ───────────────*/
-         if (this.model.position.y < -50) { this.reset(); return; }
-         this.mixer.update(delta);
+         if (this.model.position.y - this.feetOffset < this.killPlaneY) { this.reset('killPlane'); return; }
+         this.animator.update(delta);
      }
 
 
@@ -226,22 +446,78 @@ export class Player {
 
 
     /*───────────────────────────────────────────────────────────────────────
-     * Cross-fade to another animation
+     * Movement modes — both return a world-space direction whose length (0–1]
+     * is the throttle, or null
      *───────────────────────────────────────────────────────────────────────*/
-    _switchAnimation(name, fade) {
-        const target = this.animations[name];
-        if (!target) { console.warn(`[Animation] '${name}' not found`); return; }
-        if (this.currentAnimation === name) return;
 
-        const previous = this.animations[this.currentAnimation];
-        this.currentAnimation = name;
+    _tankDirection(controls, delta) {
+        const { x, z } = inputAxes(controls);
+        this.model.rotation.y -= x * TANK_TURN_SPEED * delta;
 
-        if (previous) previous.stop();
-        target.reset().setEffectiveTimeScale(1).setEffectiveWeight(1).play();
+        if (z === 0) return null;
+        return new THREE.Vector3(0, 0, z).applyQuaternion(this.model.quaternion);
+    }
 
-        if (name === 'jump') {
-            target.setLoop(THREE.LoopOnce, 1);
-            target.clampWhenFinished = true;
-        }
+    _cameraRelativeDirection(controls, delta, cameraAzimuth = this.model.rotation.y + Math.PI) {
+        const { x, z } = inputAxes(controls);
+        if (x === 0 && z === 0) return null;
+
+        // The camera sits at `cameraAzimuth` around the player, so it looks along -azimuth.
+        const sin = Math.sin(cameraAzimuth), cos = Math.cos(cameraAzimuth);
+        const dir = new THREE.Vector3(-sin * z + cos * x, 0, -cos * z - sin * x);
+        if (dir.lengthSq() > 1) dir.normalize();  // diagonal keys aren't faster
+
+        const heading = Math.atan2(dir.x, dir.z);
+        const diff = THREE.MathUtils.euclideanModulo(heading - this.model.rotation.y + Math.PI, Math.PI * 2) - Math.PI;
+        this.model.rotation.y += diff * (1 - Math.exp(-FACING_TURN_RATE * delta));
+        return dir;
+    }
+
+    /*───────────────────────────────────────────────────────────────────────
+     * Ground probing & slopes
+     *───────────────────────────────────────────────────────────────────────*/
+
+    /**
+     * Casts down from `reachUp` above the feet.
+     * @returns {{point: THREE.Vector3, normal: THREE.Vector3, slopeAngle: number, height: number}|null}
+     *          `height` is how far the feet are above the hit (negative = below it),
+     *          `slopeAngle` is in degrees.
+     */
+    _probeGround(mapCollider, reachUp) {
+        const feetY = this.model.position.y - this.feetOffset;
+        const origin = new THREE.Vector3(this.model.position.x, feetY + reachUp, this.model.position.z);
+        const hit = mapCollider.raycast(origin, DOWN);
+        if (!hit) return null;
+        return {
+            origin,
+            point: hit.point,
+            normal: hit.normal,
+            slopeAngle: THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(hit.normal.y, -1, 1))),
+            height: feetY - hit.point.y,
+        };
+    }
+
+    /**
+     * Slows the player walking uphill and speeds them up downhill, in proportion
+     * to how close the slope is to the steepest walkable angle.
+     */
+    _slopeSpeedFactor(ground, moveDirection) {
+        if (!ground || ground.slopeAngle < 1) return 1.0;
+        const downhill = new THREE.Vector3(ground.normal.x, 0, ground.normal.z).normalize();
+        const along = downhill.dot(moveDirection);  // +1 straight downhill, -1 straight uphill
+        const steepness = Math.min(ground.slopeAngle / this.physics.maxSlopeAngle, 1);
+        const target = along < 0 ? this.physics.uphillSpeedFactor : this.physics.downhillSpeedFactor;
+        return THREE.MathUtils.lerp(1.0, target, steepness * Math.abs(along));
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Movement input as x (right) and z (forward) in −1…1: the keys and the gamepad's left
+ * stick combined, so a key still works while the stick rests in its deadzone.
+ */
+function inputAxes(controls) {
+    const clamp = THREE.MathUtils.clamp;
+    const x = (controls.right ? 1 : 0) - (controls.left ? 1 : 0) + (controls.moveX ?? 0);
+    const z = (controls.forward ? 1 : 0) - (controls.backward ? 1 : 0) + (controls.moveY ?? 0);
+    return { x: clamp(x, -1, 1), z: clamp(z, -1, 1) };
+}
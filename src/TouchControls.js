@@ -0,0 +1,279 @@
+// src/viewer/TouchControls.js
+
+/*───────────────────────────────
+ * TOUCH CONSTANTS
+ *───────────────────────────────*/
+const JOYSTICK_RADIUS   = 56;   // px the knob can travel from the centre; full throttle at the rim.
+const JOYSTICK_MARGIN   = 36;   // px between the joystick's resting spot and the canvas corner.
+const JOYSTICK_DEADZONE = 0.12; // Fraction of the radius ignored around the centre.
+const JUMP_BUTTON_SIZE  = 76;   // px
+const TOUCH_LOOK_SCALE  = 2.5;  // Touch drags turn the camera this much faster than the mouse.
+
+const DEFAULT_OPTIONS = {
+    lookSensitivity: 1, // Multiplies the drag-to-look speed.
+};
+
+/**
+ * On-screen touch controls for one viewer: a floating analog joystick on the left half of
+ * the canvas, drag-to-look on the right half and a jump button in the bottom-right corner.
+ *
+ * Each touch is tracked by its identifier, so the joystick, the camera and the jump button
+ * can all be held at once; `touchcancel` (an incoming call, a system gesture) lets go like
+ * `touchend`. The joystick writes `moveX`/`moveY` like a gamepad stick, the jump button
+ * `jump`, and look drags are passed to `onLook` as pixel deltas, scaled to match mouse look.
+ * `touchLookActive` is set while a look drag is held.
+ */
+export class TouchControls {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} state The ControlsManager's control state.
+     * @param {object} [options] See DEFAULT_OPTIONS.
+     */
+    constructor(canvas, state, options = {}) {
+        this.canvas = canvas;
+        this.state = state;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        /** Called with `(dx, dy)` in mouse-equivalent pixels for each look drag. */
+        this.onLook = null;
+        /** Called when a touch starts, so the viewer can take focus. */
+        this.onTouchStart = null;
+
+        this.moveX = 0;
+        this.moveY = 0;
+
+        this._joystickTouch = null; // { id, centerX, centerY }, client coordinates
+        this._lookTouch = null;     // { id, x, y }
+        this._jumpTouch = null;     // id
+        this._listeners = [];
+
+        this._previousTouchAction = canvas.style.touchAction;
+        // No scrolling or pinch-zooming the page from the canvas.
+        canvas.style.touchAction = 'none';
+
+        this._createElements();
+        this._setupEvents();
+        this._layout();
+    }
+
+    /** @returns {boolean} Whether the joystick is being held. */
+    get joystickActive() {
+        return this._joystickTouch !== null;
+    }
+
+    /**
+     * Copies the joystick into `state` while it's held, so it wins over an idle gamepad stick.
+     * Also keeps the controls placed over the canvas. Call once per frame.
+     */
+    update() {
+        if (this.joystickActive) {
+            this.state.moveX = this.moveX;
+            this.state.moveY = this.moveY;
+        }
+        this._layout();
+    }
+
+    /** Lets go of every touch, e.g. when another viewer takes focus. */
+    release() {
+        if (this._joystickTouch) this._endJoystick();
+        if (this._lookTouch) this._endLook();
+        if (this._jumpTouch !== null) this._endJump();
+    }
+
+    dispose() {
+        this.release();
+        for (const [target, type, handler] of this._listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this._listeners = [];
+        this._container.remove();
+        this.canvas.style.touchAction = this._previousTouchAction;
+        this.onLook = this.onTouchStart = null;
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  SETUP
+     *══════════════════════════════════════════════════════════*/
+
+    _createElements() {
+        const container = document.createElement('div');
+        container.className = 'bulimaps-touch-controls';
+        Object.assign(container.style, {
+            position: 'absolute', overflow: 'hidden', pointerEvents: 'none', zIndex: '900',
+            userSelect: 'none', webkitUserSelect: 'none',
+        });
+
+        const base = document.createElement('div');
+        Object.assign(base.style, {
+            position: 'absolute', width: `${JOYSTICK_RADIUS * 2}px`, height: `${JOYSTICK_RADIUS * 2}px`,
+            marginLeft: `${-JOYSTICK_RADIUS}px`, marginTop: `${-JOYSTICK_RADIUS}px`, borderRadius: '50%',
+            background: 'rgba(255, 255, 255, 0.12)', border: '2px solid rgba(255, 255, 255, 0.35)',
+            boxSizing: 'border-box', opacity: '0.6',
+        });
+        const knob = document.createElement('div');
+        const knobSize = JOYSTICK_RADIUS * 0.9;
+        Object.assign(knob.style, {
+            position: 'absolute', width: `${knobSize}px`, height: `${knobSize}px`,
+            left: `${JOYSTICK_RADIUS - knobSize / 2}px`, top: `${JOYSTICK_RADIUS - knobSize / 2}px`,
+            borderRadius: '50%', background: 'rgba(255, 255, 255, 0.45)',
+        });
+        base.appendChild(knob);
+
+        const jump = document.createElement('div');
+        jump.textContent = 'JUMP';
+        Object.assign(jump.style, {
+            position: 'absolute', width: `${JUMP_BUTTON_SIZE}px`, height: `${JUMP_BUTTON_SIZE}px`,
+            right: `${JOYSTICK_MARGIN}px`, bottom: `${JOYSTICK_MARGIN}px`, borderRadius: '50%',
+            background: 'rgba(255, 255, 255, 0.18)', border: '2px solid rgba(255, 255, 255, 0.4)',
+            boxSizing: 'border-box', color: 'rgba(255, 255, 255, 0.85)',
+            font: 'bold 13px sans-serif', lineHeight: `${JUMP_BUTTON_SIZE - 4}px`, textAlign: 'center',
+            pointerEvents: 'auto', touchAction: 'none',
+        });
+
+        container.append(base, jump);
+        (this.canvas.parentElement || document.body).appendChild(container);
+        this._container = container;
+        this._base = base;
+        this._knob = knob;
+        this._jumpButton = jump;
+        this._layoutKey = '';
+    }
+
+    _setupEvents() {
+        const canvas = this.canvas;
+        // Not passive: preventDefault stops the browser synthesising mouse events from
+        // the touches, which would otherwise start mouse look.
+        this._listen(canvas, 'touchstart', (e) => {
+            e.preventDefault();
+            this.onTouchStart?.();
+            const rect = canvas.getBoundingClientRect();
+            for (const touch of e.changedTouches) {
+                const onLeft = touch.clientX - rect.left < rect.width / 2;
+                if (onLeft && !this._joystickTouch) this._startJoystick(touch);
+                else if (!onLeft && !this._lookTouch) this._startLook(touch);
+            }
+        }, { passive: false });
+        this._listen(canvas, 'touchmove', (e) => {
+            e.preventDefault();
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this._joystickTouch?.id) this._moveJoystick(touch);
+                else if (touch.identifier === this._lookTouch?.id) this._moveLook(touch);
+            }
+        }, { passive: false });
+        const onCanvasEnd = (e) => {
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this._joystickTouch?.id) this._endJoystick();
+                else if (touch.identifier === this._lookTouch?.id) this._endLook();
+            }
+        };
+        this._listen(canvas, 'touchend', onCanvasEnd);
+        this._listen(canvas, 'touchcancel', onCanvasEnd);
+
+        const button = this._jumpButton;
+        this._listen(button, 'touchstart', (e) => {
+            e.preventDefault();
+            this.onTouchStart?.();
+            if (this._jumpTouch !== null) return;
+            this._jumpTouch = e.changedTouches[0].identifier;
+            this.state.jump = true;
+            button.style.background = 'rgba(255, 255, 255, 0.35)';
+        }, { passive: false });
+        const onButtonEnd = (e) => {
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this._jumpTouch) this._endJump();
+            }
+        };
+        this._listen(button, 'touchend', onButtonEnd);
+        this._listen(button, 'touchcancel', onButtonEnd);
+    }
+
+    _listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._listeners.push([target, type, handler]);
+    }
+
+    /** Keeps the overlay over the canvas and the idle joystick in its corner. */
+    _layout() {
+        const { offsetLeft, offsetTop, offsetWidth, offsetHeight } = this.canvas;
+        const key = `${offsetLeft},${offsetTop},${offsetWidth},${offsetHeight}`;
+        if (key === this._layoutKey) return;
+        this._layoutKey = key;
+        Object.assign(this._container.style, {
+            left: `${offsetLeft}px`, top: `${offsetTop}px`,
+            width: `${offsetWidth}px`, height: `${offsetHeight}px`,
+        });
+        if (!this._joystickTouch) this._placeJoystick(null);
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  JOYSTICK, LOOK AND JUMP
+     *══════════════════════════════════════════════════════════*/
+
+    // The joystick rests in the bottom-left corner and jumps to wherever the thumb lands.
+    _startJoystick(touch) {
+        this._joystickTouch = { id: touch.identifier, centerX: touch.clientX, centerY: touch.clientY };
+        this._placeJoystick(touch);
+        this._base.style.opacity = '1';
+    }
+
+    _moveJoystick(touch) {
+        const { centerX, centerY } = this._joystickTouch;
+        let dx = touch.clientX - centerX;
+        let dy = touch.clientY - centerY;
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+        this._knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+        // Same radial deadzone and rescale as the gamepad sticks; screen y points down.
+        const magnitude = Math.min(distance / JOYSTICK_RADIUS, 1);
+        const scale = magnitude <= JOYSTICK_DEADZONE
+            ? 0
+            : (magnitude - JOYSTICK_DEADZONE) / (1 - JOYSTICK_DEADZONE) / (magnitude * JOYSTICK_RADIUS);
+        this.moveX = dx * scale;
+        this.moveY = -dy * scale;
+    }
+
+    _endJoystick() {
+        this._joystickTouch = null;
+        this.moveX = this.moveY = 0;
+        this.state.moveX = this.state.moveY = 0;
+        this._knob.style.transform = '';
+        this._base.style.opacity = '0.6';
+        this._placeJoystick(null);
+    }
+
+    _placeJoystick(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = touch ? touch.clientX - rect.left : JOYSTICK_MARGIN + JOYSTICK_RADIUS;
+        const y = touch ? touch.clientY - rect.top : rect.height - JOYSTICK_MARGIN - JOYSTICK_RADIUS;
+        this._base.style.left = `${x}px`;
+        this._base.style.top = `${y}px`;
+    }
+
+    _startLook(touch) {
+        this._lookTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+        this.state.touchLookActive = true;
+    }
+
+    _moveLook(touch) {
+        const look = this._lookTouch;
+        const scale = TOUCH_LOOK_SCALE * this.options.lookSensitivity;
+        this.onLook?.((touch.clientX - look.x) * scale, (touch.clientY - look.y) * scale);
+        look.x = touch.clientX;
+        look.y = touch.clientY;
+    }
+
+    _endLook() {
+        this._lookTouch = null;
+        this.state.touchLookActive = false;
+    }
+
+    _endJump() {
+        this._jumpTouch = null;
+        this.state.jump = false;
+        this._jumpButton.style.background = 'rgba(255, 255, 255, 0.18)';
+    }
+}
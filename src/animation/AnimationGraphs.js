@@ -0,0 +1,60 @@
+// src/animation/AnimationGraphs.js
+
+/**
+ * The animation graph every character uses unless it brings its own.
+ *
+ * A graph is plain data so it can live in a character's glTF extras
+ * (`animationGraph`, deep-merged over this one) or in a character registry:
+ *
+ *  clips        Logical clip name → candidate clip names in the GLB, tried in order.
+ *               Matching ignores case and any `Armature|` style prefix.
+ *  ignoreClips  Clip names in the GLB that must never be played.
+ *  initial      The state to start (and respawn) in.
+ *  states       name → { clip, loop, fallback } or name → { blend: { param, clips: [{ clip, value }] } }.
+ *               `fallback` names another state whose clips are used when this one has none.
+ *               A state with no clips even after fallbacks is skipped by transitions.
+ *  transitions  Checked in order each tick; the first match from the current state wins.
+ *               `from` is a state name, a list of them, or '*'. `when` maps parameters to a
+ *               value (equality) or to { gt, gte, lt, lte }. `exitTime` (0..1) waits for the
+ *               current clip to play that far. `blend` is the cross-fade time in seconds.
+ *
+ * Parameters set by the Player: grounded, sliding, speed, verticalVelocity, airTime,
+ * and the one-shot trigger `jump`.
+ */
+export const DefaultAnimationGraph = {
+    clips: {
+        idle:   ['idle'],
+        walk:   ['walk'],
+        sprint: ['sprint', 'run'],
+        jump:   ['jump'],
+        fall:   ['fall', 'falling'],
+        land:   ['land', 'landing'],
+        slide:  ['slide', 'sliding'],
+    },
+    ignoreClips: ['grounded'], // broken in the bundled characters
+
+    initial: 'jump',
+
+    states: {
+        idle:       { clip: 'idle' },
+        locomotion: { blend: { param: 'speed', clips: [{ clip: 'walk', value: 2.5 }, { clip: 'sprint', value: 5.0 }] } },
+        jump:       { clip: 'jump', loop: false },
+        fall:       { clip: 'fall', fallback: 'idle' },
+        land:       { clip: 'land', loop: false },
+        slide:      { clip: 'slide', fallback: 'fall' },
+    },
+
+    transitions: [
+        { from: '*',                            to: 'jump',       when: { jump: true },                                  blend: 0.1 },
+        { from: ['idle', 'locomotion', 'land'], to: 'fall',       when: { grounded: false, sliding: false, airTime: { gt: 0.1 } }, blend: 0.15 },
+        { from: '*',                            to: 'slide',      when: { sliding: true },                               blend: 0.2 },
+        { from: 'slide',                        to: 'fall',       when: { sliding: false, grounded: false },             blend: 0.2 },
+        { from: 'jump',                         to: 'fall',       when: { airTime: { gt: 0.4 }, verticalVelocity: { lt: -0.1 } }, blend: 0.25 },
+        { from: ['jump', 'fall', 'slide'],      to: 'land',       when: { grounded: true, speed: { lte: 0.1 } },         blend: 0.1 },
+        { from: ['jump', 'fall', 'slide', 'land'], to: 'locomotion', when: { grounded: true, speed: { gt: 0.1 } },      blend: 0.15 },
+        { from: ['jump', 'fall', 'slide'],      to: 'idle',       when: { grounded: true },                              blend: 0.3 },
+        { from: 'land',                         to: 'idle',       exitTime: 1,                                           blend: 0.2 },
+        { from: 'idle',                         to: 'locomotion', when: { speed: { gt: 0.1 } },                          blend: 0.15 },
+        { from: 'locomotion',                   to: 'idle',       when: { speed: { lte: 0.1 } },                         blend: 0.3 },
+    ],
+};
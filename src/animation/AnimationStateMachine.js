@@ -0,0 +1,268 @@
+// src/animation/AnimationStateMachine.js
+
+import * as THREE from 'three';
+
+/**
+ * Drives a character's AnimationMixer from a declarative graph (see AnimationGraphs.js).
+ *
+ * The owner sets parameters each tick (`set`, `trigger`), then calls `update(delta)`,
+ * which picks a transition, cross-fades weights, and advances the mixer.
+ */
+export class AnimationStateMachine {
+    /**
+     * @param {THREE.AnimationMixer} mixer
+     * @param {THREE.AnimationClip[]} clips The clips shipped with the character.
+     * @param {object} graph An animation graph.
+     */
+    constructor(mixer, clips, graph) {
+        this.mixer = mixer;
+        this.graph = graph;
+
+        this.params = {};
+        this.triggers = new Set();
+        this.current = null;
+        this.stateTime = 0;
+
+        /** Called with (state, previousState) whenever the state changes. */
+        this.onStateChange = null;
+
+        this._actions = this._bindClips(clips);
+        this._states = this._resolveStates();
+        this._fadeFrom = new Map(); // action → the weight it is fading from
+        this._fade = { duration: 0, elapsed: 0 };
+
+        const missing = Object.keys(graph.states).filter(name => !this._states[name]);
+        if (missing.length) console.warn(`[Animation] No clips for state(s): ${missing.join(', ')}. Transitions into them are skipped.`);
+    }
+
+    /** @returns {boolean} Whether `state` has something to play. */
+    has(state) {
+        return Boolean(this._states[state]);
+    }
+
+    set(name, value) {
+        this.params[name] = value;
+    }
+
+    /** Raises a one-shot parameter that is cleared after the next update. */
+    trigger(name) {
+        this.triggers.add(name);
+    }
+
+    /**
+     * Jumps straight to a state, ignoring transitions.
+     * @param {string} state
+     * @param {number} [blend] Cross-fade time in seconds.
+     */
+    play(state, blend = 0) {
+        const target = this._states[state] ? state : this._firstAvailable();
+        if (!target) return;
+        this._enter(target, blend, true);
+    }
+
+    update(delta) {
+        this.stateTime += delta;
+
+        const transition = this._pickTransition();
+        if (transition) this._enter(transition.to, transition.blend ?? 0.2, this._isTriggered(transition));
+        this.triggers.clear();
+
+        this._applyWeights(delta);
+        this.mixer.update(delta);
+        this._syncBlendPhases();
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  SETUP
+     *══════════════════════════════════════════════════════════*/
+
+    _bindClips(clips) {
+        const byName = new Map();
+        const ignored = new Set((this.graph.ignoreClips || []).map(n => n.toLowerCase()));
+        for (const clip of clips) {
+            const name = clip.name.split('|').pop().toLowerCase();
+            if (ignored.has(name)) continue;
+            byName.set(name, clip);
+        }
+
+        const actions = {};
+        for (const [logical, candidates] of Object.entries(this.graph.clips || {})) {
+            const list = Array.isArray(candidates) ? candidates : [candidates];
+            const clip = list.map(c => byName.get(c.toLowerCase())).find(Boolean);
+            if (clip) actions[logical] = this.mixer.clipAction(clip);
+        }
+        return actions;
+    }
+
+    /** Turns each state definition into a list of { action, value } layers, following fallbacks. */
+    _resolveStates() {
+        const resolved = {};
+        const resolve = (name, visited = new Set()) => {
+            const def = this.graph.states[name];
+            if (!def || visited.has(name)) return null;
+            visited.add(name);
+
+            let layers = [];
+            if (def.blend) {
+                layers = def.blend.clips
+                    .filter(entry => this._actions[entry.clip])
+                    .map(entry => ({ action: this._actions[entry.clip], value: entry.value }));
+            } else if (this._actions[def.clip]) {
+                layers = [{ action: this._actions[def.clip], value: 0 }];
+            }
+            if (!layers.length) {
+                const fallback = def.fallback ? resolve(def.fallback, visited) : null;
+                return fallback ? { ...fallback, loop: def.loop ?? fallback.loop } : null;
+            }
+            return { layers, loop: def.loop !== false, param: def.blend?.param };
+        };
+
+        for (const name of Object.keys(this.graph.states)) {
+            const state = resolve(name);
+            if (state) resolved[name] = state;
+        }
+        return resolved;
+    }
+
+    _firstAvailable() {
+        return [this.graph.initial, 'idle', ...Object.keys(this._states)].find(s => this._states[s]);
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  TRANSITIONS
+     *══════════════════════════════════════════════════════════*/
+
+    _pickTransition() {
+        for (const transition of this.graph.transitions || []) {
+            if (!this._matchesFrom(transition.from)) continue;
+            if (!this._states[transition.to]) continue;
+            if (transition.to === this.current && !this._isTriggered(transition)) continue;
+            if (transition.exitTime !== undefined && this._normalizedTime() < transition.exitTime) continue;
+            if (transition.when && !this._conditionsMet(transition.when)) continue;
+            return transition;
+        }
+        return null;
+    }
+
+    _matchesFrom(from) {
+        if (from === undefined || from === '*') return true;
+        return Array.isArray(from) ? from.includes(this.current) : from === this.current;
+    }
+
+    _isTriggered(transition) {
+        return Object.keys(transition.when || {}).some(key => this.triggers.has(key));
+    }
+
+    _conditionsMet(when) {
+        for (const [key, expected] of Object.entries(when)) {
+            const value = this.triggers.has(key) ? true : this.params[key];
+            if (expected !== null && typeof expected === 'object') {
+                if (typeof value !== 'number') return false;
+                if ('gt' in expected && !(value > expected.gt)) return false;
+                if ('gte' in expected && !(value >= expected.gte)) return false;
+                if ('lt' in expected && !(value < expected.lt)) return false;
+                if ('lte' in expected && !(value <= expected.lte)) return false;
+            } else if ((value ?? false) !== expected) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /** How far the current state's leading clip has played (0..1; looping clips wrap). */
+    _normalizedTime() {
+        const state = this._states[this.current];
+        if (!state) return 1;
+        const action = state.layers[0].action;
+        const duration = action.getClip().duration;
+        return duration > 0 ? action.time / duration : 1;
+    }
+
+    _enter(name, blend, restart) {
+        const previous = this.current;
+        const state = this._states[name];
+        if (previous === name && !restart) return;
+
+        this.current = name;
+        this.stateTime = 0;
+
+        for (const { action } of state.layers) {
+            if (restart || !action.isScheduled() || !state.loop) action.reset();
+            action.setLoop(state.loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+            action.clampWhenFinished = !state.loop;
+            action.setEffectiveTimeScale(1);
+            action.play();
+        }
+
+        // Every action fades from wherever it is now towards its new target.
+        this._fadeFrom.clear();
+        for (const action of Object.values(this._actions)) {
+            this._fadeFrom.set(action, action.isScheduled() ? action.getEffectiveWeight() : 0);
+        }
+        this._fade.duration = Math.max(blend, 0);
+        this._fade.elapsed = 0;
+
+        if (previous !== name) this.onStateChange?.(name, previous);
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  WEIGHTS
+     *══════════════════════════════════════════════════════════*/
+
+    _targetWeights() {
+        const targets = new Map();
+        const state = this._states[this.current];
+        if (!state) return targets;
+
+        if (state.layers.length === 1 || !state.param) {
+            targets.set(state.layers[0].action, 1);
+            return targets;
+        }
+
+        // 1D blend: the two layers either side of the parameter share the weight.
+        const value = this.params[state.param] ?? 0;
+        const layers = state.layers;
+        let i = 0;
+        while (i < layers.length - 2 && value > layers[i + 1].value) i++;
+        const a = layers[i], b = layers[i + 1];
+        const t = THREE.MathUtils.clamp((value - a.value) / ((b.value - a.value) || 1), 0, 1);
+        targets.set(a.action, 1 - t);
+        targets.set(b.action, t);
+        return targets;
+    }
+
+    _applyWeights(delta) {
+        const targets = this._targetWeights();
+        this._fade.elapsed += delta;
+        const progress = this._fade.duration > 0 ? Math.min(this._fade.elapsed / this._fade.duration, 1) : 1;
+
+        for (const action of Object.values(this._actions)) {
+            const target = targets.get(action) ?? 0;
+            const from = this._fadeFrom.get(action) ?? target;
+            const weight = THREE.MathUtils.lerp(from, target, progress);
+
+            if (weight <= 1e-3 && target === 0) {
+                if (action.isScheduled()) action.stop();
+                continue;
+            }
+            if (!action.isScheduled()) action.play();
+            action.setEffectiveWeight(weight);
+        }
+    }
+
+    /** Keeps blended locomotion clips on the same step so feet don't slide. */
+    _syncBlendPhases() {
+        const state = this._states[this.current];
+        if (!state?.param || state.layers.length < 2) return;
+
+        const lead = state.layers.reduce((best, layer) =>
+            layer.action.getEffectiveWeight() > best.action.getEffectiveWeight() ? layer : best);
+        const leadDuration = lead.action.getClip().duration;
+        if (leadDuration <= 0) return;
+        const phase = lead.action.time / leadDuration;
+
+        for (const { action } of state.layers) {
+            if (action !== lead.action) action.time = phase * action.getClip().duration;
+        }
+    }
+}
@@ -0,0 +1,293 @@
+// src/viewer/debug/DebugOverlay.js
+
+import * as THREE from 'three';
+import { CSMHelper } from 'three/examples/jsm/csm/CSMHelper.js';
+
+/*───────────────────────────────
+ * OVERLAY CONSTANTS
+ *───────────────────────────────*/
+const HUD_REFRESH_INTERVAL = 0.25; // Seconds between text refreshes; the graph updates every frame.
+const GRAPH_WIDTH          = 160;  // One pixel per frame.
+const GRAPH_HEIGHT         = 48;
+const GRAPH_MAX_MS         = 50;   // Frame time at the top of the graph.
+const GROUND_RAY_MISS_LENGTH = 10; // Length of the ground ray drawn when it hits nothing.
+
+const DEFAULT_OPTIONS = {
+    hud: true,          // fps, frame graph, renderer stats and player state
+    groundRay: true,    // the player's ground probe: green on a hit, red on a miss
+    colliders: true,    // the map's collision triangles and the player's capsule
+    shadowCamera: true, // the sun's shadow camera frustum (fallback shadows)
+    cascades: true,     // the CSM cascades (cascaded shadows)
+};
+
+/**
+ * Performance HUD and debug helpers for one viewer.
+ *
+ * The HUD is a small DOM panel laid over the canvas; the helpers are scene objects kept
+ * in their own group. Both follow the viewer as worlds, characters and shadow settings
+ * change. Call `update` once per frame before rendering.
+ */
+export class DebugOverlay {
+    /**
+     * @param {GameViewer} viewer
+     * @param {object} [options] Which parts to show; see DEFAULT_OPTIONS.
+     */
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.helpers = new THREE.Group();
+        this.helpers.name = 'DebugOverlay';
+        viewer.scene.add(this.helpers);
+
+        // renderer.info normally resets on every render call, which with post-processing
+        // would only count the last pass. Count the whole frame instead.
+        this._info = viewer.renderer.info;
+        this._info.autoReset = false;
+
+        this._frameTimes = new Float32Array(GRAPH_WIDTH);
+        this._frameIndex = 0;
+        this._hudTime = HUD_REFRESH_INTERVAL;
+        this._hudFrames = 0;
+        this._hudElapsed = 0;
+
+        this._colliderSource = null;
+        this._capsuleSource = null;
+        this._cascadeSource = null;
+        this._shadowCameraSource = null;
+        this._groundRay = null;
+        this._colliderMesh = null;
+        this._capsuleMesh = null;
+        this._cascadeHelper = null;
+        this._shadowCameraHelper = null;
+
+        if (this.options.hud) this._createHud();
+        if (this.options.groundRay) this._createGroundRay();
+    }
+
+    /**
+     * Refreshes the HUD with the previous frame's numbers and moves the helpers.
+     * @param {number} frameTime Seconds since the previous frame.
+     */
+    update(frameTime) {
+        if (this.options.hud) this._updateHud(frameTime);
+        this._info.reset();
+
+        const { player, mapCollider } = this.viewer;
+        const shadowManager = this.viewer.graphicsManager?.shadowManager;
+        if (this.options.groundRay) this._updateGroundRay(player);
+        if (this.options.colliders) {
+            this._syncColliderMesh(mapCollider);
+            this._updateCapsule(player);
+        }
+        if (this.options.shadowCamera) {
+            const sun = shadowManager && !shadowManager.csm ? shadowManager.sunLight : null;
+            this._syncShadowCameraHelper(sun);
+        }
+        if (this.options.cascades) this._syncCascadeHelper(shadowManager?.csm ?? null);
+    }
+
+    dispose() {
+        this._syncColliderMesh(null);
+        this._syncShadowCameraHelper(null);
+        this._syncCascadeHelper(null);
+        if (this._capsuleMesh) this._disposeHelper(this._capsuleMesh);
+        if (this._groundRay) this._disposeHelper(this._groundRay);
+        this.helpers.removeFromParent();
+
+        this._hud?.remove();
+        this._hud = null;
+        this._info.autoReset = true;
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  HUD
+     *══════════════════════════════════════════════════════════*/
+
+    _createHud() {
+        const hud = document.createElement('div');
+        hud.className = 'bulimaps-debug-overlay';
+        Object.assign(hud.style, {
+            position: 'absolute', zIndex: '1000', pointerEvents: 'none',
+            padding: '6px 8px', background: 'rgba(0, 0, 0, 0.6)', color: '#e8e8e8',
+            font: '11px/1.35 monospace', whiteSpace: 'pre',
+        });
+        this._graph = document.createElement('canvas');
+        this._graph.width = GRAPH_WIDTH;
+        this._graph.height = GRAPH_HEIGHT;
+        this._graph.style.display = 'block';
+        this._text = document.createElement('div');
+        hud.append(this._graph, this._text);
+
+        // Sit over the canvas's top-left corner, whatever the page layout.
+        const canvas = this.viewer.canvas;
+        (canvas.parentElement || document.body).appendChild(hud);
+        this._hud = hud;
+    }
+
+    _updateHud(frameTime) {
+        this._frameTimes[this._frameIndex] = frameTime * 1000;
+        this._frameIndex = (this._frameIndex + 1) % GRAPH_WIDTH;
+        this._drawGraph();
+
+        this._hudFrames++;
+        this._hudElapsed += frameTime;
+        this._hudTime += frameTime;
+        if (this._hudTime < HUD_REFRESH_INTERVAL) return;
+        this._hudTime = 0;
+
+        const fps = this._hudElapsed > 0 ? this._hudFrames / this._hudElapsed : 0;
+        const frameMs = this._hudFrames ? (this._hudElapsed / this._hudFrames) * 1000 : 0;
+        this._hudFrames = 0;
+        this._hudElapsed = 0;
+
+        const { render, memory } = this._info;
+        const { player, renderer, qualityGovernor } = this.viewer;
+        const lines = [
+            `${fps.toFixed(0)} fps  ${frameMs.toFixed(1)} ms`,
+            `draw calls ${render.calls}  triangles ${render.triangles}`,
+            `geometries ${memory.geometries}  textures ${memory.textures}`,
+            `pixel ratio ${renderer.getPixelRatio().toFixed(2)}` + (qualityGovernor ? `  quality -${qualityGovernor.level}` : ''),
+        ];
+        if (player?.model) {
+            const flags = Object.entries(player.state).filter(([, on]) => on).map(([name]) => name);
+            const { x, y, z } = player.getFeetPosition();
+            lines.push(
+                `state ${flags.join(' ') || '-'}`,
+                `animation ${player.animator?.current ?? '-'}`,
+                `vertical velocity ${player.verticalVelocity.toFixed(2)}`,
+                `ground ${player.ground ? `${player.ground.height.toFixed(2)} below, ${player.ground.slopeAngle.toFixed(0)}°` : 'none'}`,
+                `feet ${x.toFixed(2)} ${y.toFixed(2)} ${z.toFixed(2)}`,
+            );
+        }
+        this._text.textContent = lines.join('\n');
+
+        const canvas = this.viewer.canvas;
+        this._hud.style.left = `${canvas.offsetLeft}px`;
+        this._hud.style.top = `${canvas.offsetTop}px`;
+    }
+
+    _drawGraph() {
+        const ctx = this._graph.getContext('2d');
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        const toY = ms => GRAPH_HEIGHT - Math.min(ms / GRAPH_MAX_MS, 1) * GRAPH_HEIGHT;
+
+        // Reference lines at 60 and 30 fps.
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.fillRect(0, toY(1000 / 60), GRAPH_WIDTH, 1);
+        ctx.fillRect(0, toY(1000 / 30), GRAPH_WIDTH, 1);
+
+        for (let i = 0; i < GRAPH_WIDTH; i++) {
+            const ms = this._frameTimes[(this._frameIndex + i) % GRAPH_WIDTH];
+            if (!ms) continue;
+            ctx.fillStyle = ms > 1000 / 30 ? '#ff5a5a' : ms > 1000 / 55 ? '#ffc94a' : '#6ddc6d';
+            const y = toY(ms);
+            ctx.fillRect(i, y, 1, GRAPH_HEIGHT - y);
+        }
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  SCENE HELPERS
+     *══════════════════════════════════════════════════════════*/
+
+    _createGroundRay() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        const material = new THREE.LineBasicMaterial({ depthTest: false, transparent: true });
+        this._groundRay = new THREE.Line(geometry, material);
+        this._groundRay.frustumCulled = false;
+        this._groundRay.renderOrder = 1000;
+        this.helpers.add(this._groundRay);
+    }
+
+    _updateGroundRay(player) {
+        const line = this._groundRay;
+        line.visible = Boolean(player?.model);
+        if (!line.visible) return;
+
+        const positions = line.geometry.attributes.position;
+        const ground = player.ground;
+        if (ground) {
+            positions.setXYZ(0, ground.origin.x, ground.origin.y, ground.origin.z);
+            positions.setXYZ(1, ground.point.x, ground.point.y, ground.point.z);
+        } else {
+            const feet = player.getFeetPosition();
+            positions.setXYZ(0, feet.x, feet.y + player.physics.stepHeight, feet.z);
+            positions.setXYZ(1, feet.x, feet.y - GROUND_RAY_MISS_LENGTH, feet.z);
+        }
+        positions.needsUpdate = true;
+        line.material.color.set(ground ? 0x00ff66 : 0xff3333);
+    }
+
+    /** The map's collision triangles as a wireframe, rebuilt when the map changes. */
+    _syncColliderMesh(mapCollider) {
+        if (mapCollider === this._colliderSource) return;
+        this._colliderSource = mapCollider;
+        if (this._colliderMesh) this._disposeHelper(this._colliderMesh);
+        this._colliderMesh = null;
+        if (!mapCollider?.positions) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(mapCollider.positions, 3));
+        const material = new THREE.MeshBasicMaterial({ color: 0x00ffff, wireframe: true, transparent: true, opacity: 0.35 });
+        this._colliderMesh = new THREE.Mesh(geometry, material);
+        this._colliderMesh.frustumCulled = false;
+        this.helpers.add(this._colliderMesh);
+    }
+
+    /** The player's wall capsule, rebuilt when the collider changes size. */
+    _updateCapsule(player) {
+        const collider = player?.collider;
+        if (collider !== this._capsuleSource) {
+            this._capsuleSource = collider;
+            if (this._capsuleMesh) this._disposeHelper(this._capsuleMesh);
+            this._capsuleMesh = null;
+            if (collider) {
+                const length = collider.segment.distance();
+                const geometry = new THREE.CapsuleGeometry(collider.radius, length, 4, 12);
+                const material = new THREE.MeshBasicMaterial({ color: 0xffaa00, wireframe: true });
+                this._capsuleMesh = new THREE.Mesh(geometry, material);
+                this.helpers.add(this._capsuleMesh);
+            }
+        }
+        if (this._capsuleMesh) collider.segment.getCenter(this._capsuleMesh.position);
+    }
+
+    _syncShadowCameraHelper(sunLight) {
+        const camera = sunLight?.shadow.camera ?? null;
+        if (camera !== this._shadowCameraSource) {
+            this._shadowCameraSource = camera;
+            if (this._shadowCameraHelper) this._disposeHelper(this._shadowCameraHelper);
+            this._shadowCameraHelper = camera ? new THREE.CameraHelper(camera) : null;
+            if (this._shadowCameraHelper) this.helpers.add(this._shadowCameraHelper);
+        }
+        if (this._shadowCameraHelper) {
+            // The shadow camera only tracks the sun once the shadow map has rendered.
+            sunLight.shadow.updateMatrices(sunLight);
+            this._shadowCameraHelper.visible = sunLight.castShadow;
+            this._shadowCameraHelper.update();
+        }
+    }
+
+    _syncCascadeHelper(csm) {
+        if (csm !== this._cascadeSource) {
+            this._cascadeSource = csm;
+            if (this._cascadeHelper) {
+                this._cascadeHelper.removeFromParent();
+                this._cascadeHelper.dispose();
+            }
+            this._cascadeHelper = csm ? new CSMHelper(csm) : null;
+            if (this._cascadeHelper) this.helpers.add(this._cascadeHelper);
+        }
+        this._cascadeHelper?.update();
+    }
+
+    _disposeHelper(object) {
+        object.removeFromParent();
+        if (object.dispose) {
+            object.dispose(); // CameraHelper
+        } else {
+            object.geometry?.dispose();
+            object.material?.dispose();
+        }
+    }
+}
@@ -7,269 +7,295 @@
  *  It makes no assumptions about UI elements like buttons or overlays.
  *───────────────────────────────────────────────────────────*/
 
-import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { Player } from './Player.js';
-import { GameCamera } from './GameCamera.js';
-import { controlsState, initControls, destroyControls } from './ControlsManager.js';
-import { GraphicsConfig } from './GraphicsConfig.js';
-import { GraphicsManager } from './GraphicsManager.js';
-
-/*═══════════════════════════════════════════════════════════
- *  MODULE STATE
- *  These variables hold the core components of the 3D world.
- *══════════════════════════════════════════════════════════*/
-const CHARACTER_FILES = ['chicken_guy.glb', 'female_officer.glb', 'food_worker.glb'];
-let scene, camera, renderer, clock, raycaster, sunLight, sunTarget, sunMesh,
-    moonLight, ambientLight, starField, starMaterial, player, gameCamera,
-    mapCollider, graphicsManager, animationFrameId = null, loadedWorldUrl = null;
+import { GameViewer } from './GameViewer.js';
+import { MovementMode } from './Player.js';
+import { DefaultCharacters } from './CharacterRegistry.js';
+import { QualityPresets } from './GraphicsConfig.js';
+import { DefaultBindings, LookMode, BindingConflictError } from './InputBindings.js';
+import { ViewerLoadError, MapLoadError, CharacterLoadError, LoadAbortedError } from './loader/LoadErrors.js';
+
+export {
+    MovementMode, DefaultCharacters, QualityPresets, DefaultBindings, LookMode,
+    ViewerLoadError, MapLoadError, CharacterLoadError, LoadAbortedError, BindingConflictError,
+};
 
 /*═══════════════════════════════════════════════════════════
  *  PUBLIC API FACTORY
+ *  Each call builds an independent GameViewer; several can run on one page.
  *══════════════════════════════════════════════════════════*/
 
 /**
  * Creates and initializes a game viewer instance.
  * @param {HTMLCanvasElement} canvas The canvas element to render on.
  * @param {object} mobileControls Optional object with DOM elements for mobile touch controls.
- * @param {string} worldUrl The public URL to the world's .glb file.
+ * @param {string} worldUrl The public URL to the world: a .world file (see loader/WorldFormat.js)
+ *        or a plain .glb map.
+ * @param {object} [options] Optional viewer settings.
+ * @param {Array<string|RegExp>} [options.collisionExclude] Mesh names to leave out of the map collision
+ *        (decorative meshes can also opt out with `"collider": false` in their glTF extras).
+ * @param {string} [options.movementMode] 'tank' (default) or 'camera'; see MovementMode.
+ * @param {string|object} [options.character] A registry id, a character GLB URL, or a
+ *        `{ url, animationGraph }` entry. Picked at random from the registry if omitted.
+ * @param {object} [options.characters] The character registry (id → URL or entry) to use
+ *        instead of the bundled DefaultCharacters.
+ * @param {boolean} [options.dropIn] Start with the cinematic drop-in from the sky. Defaults to
+ *        on only for maps without a spawn marker (see world/WorldMarkers.js).
+ * @param {object} [options.listeners] Event type → listener, subscribed before loading starts.
+ *        'progress' and 'ready' fire before the controller exists, so subscribe to them here.
+ * @param {boolean} [options.fitWindow] Size the viewer to the window (default). Set false to
+ *        follow the canvas's own CSS size instead, e.g. for several viewers on one page.
+ * @param {string} [options.quality] Start with a QualityPresets level ('low', 'medium', 'high', 'ultra').
+ * @param {boolean|object} [options.adaptiveQuality] Lower graphics quality automatically when the
+ *        frame rate drops; `true` or QualityGovernor options such as `{ targetFps: 30 }`.
+ * @param {boolean|object} [options.debug] Show the debug overlay from the start; see `setDebugOverlay`.
+ * @param {object|false} [options.gamepad] Gamepad settings (`deadzone`, `lookSensitivity`,
+ *        `moveSensitivity`, `invertY`, `enabled`; see GamepadInput.js), or `false` to ignore gamepads.
+ * @param {boolean|string|object} [options.touchControls] The built-in on-screen joystick, jump button
+ *        and drag-to-look: 'auto' (default) shows them on touch-first devices; `true`/`false`
+ *        force them on or off; an object such as `{ lookSensitivity: 1.5 }` turns them on with
+ *        those settings (see TouchControls.js).
+ * @param {object} [options.controls] Input bindings: `bindings` (action → inputs, replacing
+ *        those actions' DefaultBindings and taking the inputs from any other action), `lookMode` (a LookMode) and `storageKey` (where the
+ *        player's rebindings are saved in localStorage, or `false`). See InputBindings.js.
+ * @param {boolean} [options.cameraCollision] Pull the third-person camera in when map geometry is
+ *        between it and the player, so it never ends up inside walls or hillsides (default true).
+ * @param {boolean} [options.fadeOccluders] Fade map meshes that still hide the player, such as
+ *        trees left out of the collision data (default false).
+ * @param {number} [options.seed] Seeds everything random (the star field, a random character
+ *        pick), so the same seed builds the same viewer. Random by default; see `getSeed`.
+ * @param {AbortSignal} [options.signal] Aborting it while loading cancels the downloads, tears
+ *        down everything built so far and rejects with a LoadAbortedError.
  * @returns {Promise<object>} A promise that resolves with the viewer's controller API.
+ *          It rejects with a MapLoadError or CharacterLoadError when an asset fails to load.
  */
-export async function createGameViewer(canvas, mobileControls, worldUrl) {
+export async function createGameViewer(canvas, mobileControls, worldUrl, options = {}) {
     // [+] ADDED LOG: Confirm the function was called with the correct URL
     console.log('[GamePreview] createGameViewer received world URL:', worldUrl);
-    loadedWorldUrl = worldUrl;
-
-    // --- 1. SETUP THE 3D WORLD ---
-    _initScene(canvas);
-    _initLights();
-    _initStars();
-
-    graphicsManager = new GraphicsManager(scene, camera, renderer, {
-        sun: sunLight, moon: moonLight, ambient: ambientLight, sunMesh, sunTarget,
-    }, { material: starMaterial });
-    graphicsManager.init(GraphicsConfig);
-
-    // --- 2. LOAD ASSETS ---
-    try {
-        // [+] ADDED LOG: Announce the loading of the map
-        console.log(`[GamePreview] Attempting to load map from: ${worldUrl}`);
-        const mapPromise = new GLTFLoader().loadAsync(worldUrl)
-            .catch(error => {
-                // [+] ADDED LOG: Specific error for map loading failure
-                console.error(`[GamePreview] FAILED to load map glb from: ${worldUrl}`, error);
-                // Re-throw with more context
-                throw new Error(`MapLoadError: Could not load the main world file. ${error.message}`);
-            });
-
-        // The _loadRandomCharacter function now also has better logging
-        const characterPromise = _loadRandomCharacter();
-
-        const [mapGltf, heroGltf] = await Promise.all([mapPromise, characterPromise]);
-
-        // [+] ADDED LOG: Confirm successful loading
-        console.log('[GamePreview] Both map and character assets loaded successfully.');
-
-    const mapCenter = _setupMap(mapGltf);
-    graphicsManager.setMap(mapGltf.scene);
-    graphicsManager.processObject(mapGltf.scene);
-
-    // --- 3. SETUP PLAYER AND CONTROLS ---
-    player = new Player(scene);
-    await player.load(heroGltf, mapCollider);
-    graphicsManager.processObject(player.model);
-
-    gameCamera = new GameCamera(camera, player.model, mapCenter);
-
-    initControls(canvas, mobileControls, (e) => {
-        if (gameCamera && controlsState.mouseLookActive) {
-            gameCamera.azimuth -= e.movementX * 0.002;
-            gameCamera.polar = THREE.MathUtils.clamp(
-                gameCamera.polar - e.movementY * 0.002,
-                0.6,
-                Math.PI / 2 - 0.1,
-            );
-        }
-    });
-
-    // --- 4. AUTO-START THE GAME LOOP ---
-    if (!animationFrameId) {
-        _animate();
-    }
-    } catch (error) {
-        // This will now catch the more specific error from our promises
-        console.error('[GamePreview] A critical asset failed to load, aborting initialization.', error);
-        _destroyAll(); // Clean up the partially initialized scene
-        throw error; // Re-throw to be caught by the Vue component
-    }
+    if (options.signal?.aborted) throw new LoadAbortedError();
 
+    // --- 1-4. BUILD THE WORLD AND START THE LOOP (see GameViewer.load) ---
+    const viewer = new GameViewer(canvas, mobileControls, options);
+    await viewer.load(worldUrl);
 
     // --- 5. RETURN THE CONTROLLER API ---
-    return {
-        /** Restarts the player and camera to their initial positions. */
-        restart: () => {
-            if (player) player.reset();
-            if (gameCamera) gameCamera.reset();
-        },
-        /** Triggers a browser download of the loaded world file. */
-        download: () => {
+    const controller = {
+        /** Restarts the player and camera to their initial positions, clearing checkpoints. */
+        restart: () => viewer.restart('restart'),
+        /**
+         * Replaces the current map with another one, keeping the renderer, graphics and
+         * character. The old map's GPU resources are freed and the player respawns in the new one.
+         * @param {string} url The new world's .world or .glb file.
+         * @param {object} [options] `collisionExclude`, `dropIn` (as for createGameViewer; they
+         *        default to the viewer's own) and `signal` to cancel the download.
+         * @returns {Promise<void>} Resolves once the player is in the new world. Rejects with a
+         *          MapLoadError (the old world stays loaded) or a LoadAbortedError.
+         */
+        loadWorld: (url, options) => viewer.loadWorld(url, options),
+        /**
+         * Packs the current world into a `.world` file: the map, its spawn point, the graphics
+         * settings, the current time of day and the selected character.
+         * @param {object} [options] `spawnAtPlayer`: save the player's current position as the spawn.
+         * @returns {ArrayBuffer}
+         */
+        exportWorld: (options) => viewer.exportWorld(options),
+        /**
+         * Triggers a browser download of the current world as a `.world` bundle (see `exportWorld`).
+         * @param {object} [options] As for `exportWorld`.
+         */
+        download: (options) => {
+            const loadedWorldUrl = viewer.loadedWorldUrl;
             if (!loadedWorldUrl) {
-                console.error("No world URL is available for download.");
+                console.error("No world is loaded, so there is nothing to download.");
                 return;
             }
+            const blob = new Blob([viewer.exportWorld(options)], { type: 'application/octet-stream' });
             const link = document.createElement('a');
-            link.href = loadedWorldUrl;
+            link.href = URL.createObjectURL(blob);
             // Create a safe filename from the URL
-            const filename = loadedWorldUrl.substring(loadedWorldUrl.lastIndexOf('/') + 1) || 'world.glb';
-            link.download = filename;
+            const name = loadedWorldUrl.split(/[?#]/)[0];
+            const filename = name.substring(name.lastIndexOf('/') + 1).replace(/\.[^.]*$/, '') || 'world';
+            link.download = `${filename}.world`;
             link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
         },
+        /**
+         * Restarts the run and records the player's input from here on, e.g. to reproduce a bug
+         * report. Restarting, switching worlds, characters or movement modes ends the recording.
+         */
+        startRecording: () => viewer.startRecording(),
+        /**
+         * Ends the recording.
+         * @returns {ArrayBuffer|null} A `.replay` file for `replay` (see replay/InputRecording.js),
+         *          or null if nothing was being recorded.
+         */
+        stopRecording: () => viewer.stopRecording(),
+        /** @returns {boolean} Whether input is being recorded. */
+        isRecording: () => Boolean(viewer.recorder && !viewer.recorder.ended),
+        /**
+         * Plays a recording back exactly, loading its world and character first if needed. Live
+         * input is ignored until it ends.
+         * @param {ArrayBuffer} data A `.replay` file from `stopRecording`.
+         * @returns {Promise<boolean>} Resolves when the replay ends: true if it played to the end,
+         *          false if it was stopped. Rejects if its world or character fails to load.
+         */
+        replay: (data) => viewer.replay(data),
+        /** Stops a replay and gives control back to the player. */
+        stopReplay: () => viewer.stopReplay(),
+        /** @returns {boolean} Whether a replay is playing. */
+        isReplaying: () => Boolean(viewer.replayer),
+        /** @returns {number} The seed this viewer's randomness came from (see `options.seed`). */
+        getSeed: () => viewer.seed,
         /** Cleans up the scene, renderer, and all event listeners. */
-        destroy: _destroyAll,
+        destroy: () => viewer.destroy(),
+        /**
+         * Switches between tank controls and camera-relative movement.
+         * @param {string} mode One of MovementMode ('tank' or 'camera').
+         */
+        setMovementMode: (mode) => viewer.setMovementMode(mode),
+        /** @returns {string} The active MovementMode. */
+        getMovementMode: () => viewer.player?.movementMode,
+        /**
+         * Swaps the player's character model, keeping position, velocity and camera state.
+         * @param {string|object} character A registry id, a GLB URL, or a `{ url, animationGraph }` entry.
+         * @returns {Promise<void>} Resolves once the new model is in place.
+         */
+        setCharacter: (character) => viewer.setCharacter(character),
+        /** @returns {{id: string, url: string}|null} The character currently in use. */
+        getCharacter: () => {
+            const character = viewer.currentCharacter;
+            return character && { id: character.id, url: character.url };
+        },
+        /**
+         * Changes graphics settings on the fly, e.g. from a settings menu. Shadows, fog,
+         * particles and post effects are built or torn down as needed. Changes persist across
+         * `loadWorld`, on top of each world's own settings.
+         * @param {object} partial Settings deep-merged over the current ones; see GraphicsConfig.js.
+         *        e.g. `{ shadows: { shadowMapSize: 1024 }, resolution: { maxPixelRatio: 1 } }`.
+         */
+        setGraphicsConfig: (partial) => viewer.setGraphicsConfig(partial),
+        /**
+         * Applies a quality preset, replacing the previous one. Settings changed with
+         * `setGraphicsConfig` stay on top of it. Presets fit this device, so `exportWorld`
+         * leaves them out.
+         * @param {string} preset One of QualityPresets: 'low', 'medium', 'high' or 'ultra'.
+         */
+        setQuality: (preset) => viewer.setQuality(preset),
+        /**
+         * Turns automatic quality scaling on or off. While on, the viewer steps render scale,
+         * SSAO/bloom, shadow map size, CSM cascades and pixel ratio down when the frame rate
+         * falls under the target, and back up when there is headroom.
+         * @param {boolean|object} options false to turn it off, or `true`/options for
+         *        graphics/QualityGovernor.js (`targetFps`, `pinned`, …).
+         */
+        setAdaptiveQuality: (options) => viewer.setAdaptiveQuality(options),
+        /**
+         * Keeps automatic quality scaling away from one setting, e.g. a value the player chose.
+         * @param {string} path A setting path such as 'shadows.shadowMapSize' or 'resolution.renderScale'.
+         * @param {boolean} [pinned] Pass false to unpin.
+         */
+        pinGraphicsSetting: (path, pinned) => viewer.pinGraphicsSetting(path, pinned),
+        /** @returns {number} How many steps automatic quality scaling has taken down (0 when off). */
+        getQualityLevel: () => viewer.qualityGovernor?.level ?? 0,
+        /** @returns {object} A copy of the graphics settings in effect. */
+        getGraphicsConfig: () => structuredClone(viewer.graphicsConfig),
+        /**
+         * Shows or hides the debug overlay: fps and frame-time graph, renderer stats, the
+         * player's state, plus helpers for the ground ray, colliders and shadow cameras.
+         * @param {boolean|object} options false to hide; `true` or a selection such as
+         *        `{ colliders: false }` (see debug/DebugOverlay.js) to show.
+         */
+        setDebugOverlay: (options) => viewer.setDebugOverlay(options),
+        /**
+         * Flips the debug overlay on or off, e.g. from a hotkey.
+         * @returns {boolean} Whether it is now shown.
+         */
+        toggleDebugOverlay: () => {
+            viewer.setDebugOverlay(!viewer.debugOverlay);
+            return Boolean(viewer.debugOverlay);
+        },
+        /**
+         * Subscribes to a viewer event:
+         *  - 'progress'         loading progress `{ stage, loaded, total, progress }`; see
+         *                       GameViewer._emitLoadProgress for the stages.
+         *  - 'ready'            loading finished; called with this controller.
+         *  - 'landed'           the player touched down after the cinematic drop-in.
+         *  - 'jumped'           the player jumped.
+         *  - 'respawned'        the player was reset to its spawn; called with the reason
+         *                       ('restart', 'killPlane' or 'world').
+         *  - 'animationchanged' called with (state, previousState).
+         *  - 'resized'          called with `{ width, height }`.
+         *  - 'worldloaded'      `loadWorld` finished; called with `{ url }`.
+         *  - 'graphicschanged'  the graphics settings changed; called with the new config.
+         *  - 'qualitychanged'   automatic quality scaling took a step; called with
+         *                       `{ direction, path, value, level, fps }`.
+         *  - 'focus', 'blur'    this viewer gained or lost keyboard input (see `focus`).
+         *  - 'gamepadconnected' a gamepad was picked up; called with `{ id, mapping }`.
+         *  - 'gamepaddisconnected' the gamepad in use was unplugged.
+         *  - 'replaystarted'    a replay began; called with `{ steps }`.
+         *  - 'replayended'      a replay finished or was stopped; called with `{ completed }`.
+         *  - 'bindingschanged'  the input bindings or look mode changed; called with
+         *                       `{ bindings, lookMode }`.
+         *  - 'destroyed'        the viewer was torn down; listeners are dropped afterwards.
+         *  - 'triggerenter', 'triggerstay', 'triggerexit', 'interact': trigger volumes,
+         *    called with the trigger (see world/TriggerSystem.js).
+         * @param {string} type
+         * @param {function} listener
+         * @returns {function(): void} Call to unsubscribe.
+         */
+        on: (type, listener) => viewer.destroyed ? () => {} : viewer.events.on(type, listener),
+        /** Removes a listener added with `on`. */
+        off: (type, listener) => viewer.events.off(type, listener),
+        /** Like `on`, but the listener only fires once. */
+        once: (type, listener) => viewer.destroyed ? () => {} : viewer.events.once(type, listener),
+        /**
+         * Sends keyboard input to this viewer. Only one viewer on a page gets keyboard input;
+         * clicking or touching a viewer's canvas also focuses it.
+         */
+        focus: () => viewer.controls?.focus(),
+        /** @returns {boolean} Whether this viewer currently receives keyboard input. */
+        isFocused: () => Boolean(viewer.controls?.isFocused),
+        /**
+         * Changes the camera's collision settings while running.
+         * @param {object} options `collision` and/or `fadeOccluders`, as for createGameViewer's
+         *        `cameraCollision` and `fadeOccluders`.
+         */
+        setCameraOptions: (options) => viewer.gameCamera?.setOptions(options),
+        /**
+         * Changes gamepad settings while running, e.g. from an options menu.
+         * @param {object} options Any of `deadzone`, `lookSensitivity`, `moveSensitivity`,
+         *        `invertY` and `enabled`.
+         */
+        setGamepadOptions: (options) => viewer.controls?.gamepad?.setOptions(options),
+        /** @returns {Gamepad|null} The gamepad in use, if one is connected. */
+        getGamepad: () => viewer.controls?.gamepad?.gamepad ?? null,
+        /** @returns {object} Action → bound inputs; see DefaultBindings for the input names. */
+        getBindings: () => viewer.controls?.bindings.getBindings(),
+        /**
+         * Binds an input to an action, e.g. `rebind('forward', 'KeyZ')`. Saved for later visits.
+         * @param {string} action
+         * @param {string} input
+         * @param {object} [options] `slot`: replace the input at this position instead of adding
+         *        one; `force`: take the input from the action that has it instead of throwing.
+         * @throws {BindingConflictError} When another action uses the input and `force` isn't set.
+         */
+        rebind: (action, input, options) => viewer.controls?.bindings.rebind(action, input, options),
+        /** @returns {string|null} The other action `input` is bound to, if binding it to `action` would conflict. */
+        getBindingConflict: (action, input) => viewer.controls?.bindings.getConflict(action, input),
+        /** Removes an input from an action; without `input`, clears the action. */
+        unbind: (action, input) => viewer.controls?.bindings.unbind(action, input),
+        /** Restores one action's default inputs, or all bindings and the look mode. */
+        resetBindings: (action) => viewer.controls?.bindings.reset(action),
+        /** @param {string} mode LookMode.HOLD (hold to look) or LookMode.TOGGLE (click to lock the pointer). */
+        setLookMode: (mode) => viewer.controls?.bindings.setLookMode(mode),
+        /** @returns {string} The current LookMode. */
+        getLookMode: () => viewer.controls?.bindings.lookMode,
+        /** @returns {boolean} Whether the player is inside the trigger volume with this id. */
+        isInTrigger: (id) => Boolean(viewer.triggerSystem?.isInside(id)),
         /** Provides direct access to the player object for advanced control. */
-        getPlayer: () => player,
+        getPlayer: () => viewer.player,
         /** Provides direct access to the camera object. */
-        getCamera: () => camera,
+        getCamera: () => viewer.camera,
     };
+    viewer.events.emit('ready', controller);
+    return controller;
 }
-
-/*══════════════════════════════════════════════════════════
- *  CORE & LIFECYCLE
- *══════════════════════════════════════════════════════════*/
-
-function _animate() {
-    animationFrameId = requestAnimationFrame(_animate);
-    const dt = clock.getDelta();
-
-    // Update game objects
-    if (player) player.update(dt, controlsState, mapCollider, raycaster);
-    if (gameCamera) {
-        gameCamera.checkLanding(player.timeSinceGrounded < 0.2);
-        gameCamera.update(dt);
-    }
-
-    // Update graphics and render the frame
-    if (graphicsManager) {
-        graphicsManager.update(dt, GraphicsConfig, {
-            sunPosition: sunLight.position,
-            sunTargetPosition: sunTarget.position,
-            playerPosition: player.model.position,
-        });
-    } else {
-        renderer.render(scene, camera);
-    }
-}
-
-function _destroyAll() {
-    if (animationFrameId != null) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
-    }
-    destroyControls();
-    window.removeEventListener('resize', _onWindowResize);
-    if (graphicsManager) graphicsManager.dispose();
-
-    if (scene) {
-        scene.traverse((obj) => {
-            if (obj.isMesh) {
-                obj.geometry?.dispose();
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach((m) => m.dispose());
-                } else if (obj.material?.isMaterial) {
-                    obj.material.dispose();
-                }
-            }
-        });
-    }
-    starField?.geometry?.dispose();
-    starMaterial?.dispose();
-    if (renderer) renderer.dispose();
-
-    // Clear all state variables
-    scene = camera = renderer = clock = raycaster = sunLight = sunTarget = sunMesh =
-    moonLight = ambientLight = starField = starMaterial = player = gameCamera =
-    mapCollider = graphicsManager = loadedWorldUrl = null;
-    console.log('[GamePreview] Instance destroyed.');
-}
-
-/*══════════════════════════════════════════════════════════
- *  INTERNAL HELPERS
- *══════════════════════════════════════════════════════════*/
-
-function _initScene(canvas) {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87ceeb);
-    const useBuiltInAA = !(GraphicsConfig.postProcessing.enabled && GraphicsConfig.postProcessing.effects.smaa.enabled);
-
-    renderer = new THREE.WebGLRenderer({ canvas, antialias: useBuiltInAA, logarithmicDepthBuffer: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.outputColorSpace = THREE.SRGBColorSpace;
-    renderer.physicallyCorrectLights = true;
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.3;
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 2000);
-    clock = new THREE.Clock();
-    raycaster = new THREE.Raycaster();
-    window.addEventListener('resize', _onWindowResize);
-}
-
-function _onWindowResize() {
-    if (!renderer || !camera) return;
-    const { innerWidth: w, innerHeight: h } = window;
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
-    renderer.setSize(w, h);
-    if (graphicsManager) graphicsManager.onResize(w, h);
-}
-
-function _initLights() {
-    ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
-    sunLight = new THREE.DirectionalLight(0xffffff, 4.0);
-    sunTarget = new THREE.Object3D();
-    sunLight.target = sunTarget;
-    sunMesh = new THREE.Mesh(new THREE.SphereGeometry(15, 24, 24), new THREE.MeshBasicMaterial({ color: 0xfff5c2 }));
-    moonLight = new THREE.DirectionalLight(0xbfd4ff, 0);
-    scene.add(ambientLight, sunLight, sunTarget, sunMesh, moonLight);
-}
-
-function _initStars() {
-    const COUNT = 2000;
-    const pos = new Float32Array(COUNT * 3);
-    for (let i = 0; i < COUNT; i++) {
-        pos[i * 3] = (Math.random() - 0.5) * 2000;
-        pos[i * 3 + 1] = (Math.random() - 0.5) * 2000;
-        pos[i * 3 + 2] = (Math.random() - 0.5) * 2000;
-    }
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
-    starMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 0.7, sizeAttenuation: true, transparent: true, opacity: 0 });
-    starField = new THREE.Points(geo, starMaterial);
-    scene.add(starField);
-}
-
-function _loadRandomCharacter() {
-    const filename = CHARACTER_FILES[Math.floor(Math.random() * CHARACTER_FILES.length)];
-    // Assumes characters are in a relative 'assets/characters' folder
-    const characterPath = `/assets/characters/${filename}`;
-
-    // [+] ADDED LOG: Announce the loading of the character
-    console.log(`[GamePreview] Attempting to load character from: ${characterPath}`);
-
-    return new GLTFLoader().loadAsync(characterPath)
-        .catch(error => {
-            // [+] ADDED LOG: Specific error for character loading failure
-            console.error(`[GamePreview] FAILED to load character glb from: ${characterPath}`, error);
-            // Re-throw with more context
-            throw new Error(`CharacterLoadError: Could not load the character file. ${error.message}`);
-        });
-}
-
-function _setupMap(gltf) {
-    const map = gltf.scene;
-    const meshes = [];
-    map.traverse((n) => n.isMesh && meshes.push(n));
-    mapCollider = meshes;
-    scene.add(map);
-    return new THREE.Box3().setFromObject(map).getCenter(new THREE.Vector3());
-}
\ No newline at end of file
@@ -20,6 +20,7 @@ export class DayNightCycleManager {
      */
     init(config) {
         this.config = config;
+        this.timeOfDay = config.startTime ?? this.timeOfDay;
         // Initialize sun distance from config, but it can be overridden later.
         this.sunDistance = config.sunDistance;
         console.log('[DayNightCycleManager] Initialized.');
@@ -5,17 +5,27 @@ import * as THREE from 'three';
 export class FogManager {
     constructor(scene) {
         this.scene = scene;
+        this.color = null; // A fixed fog color, or null to follow the sky.
     }
 
-    init() {
-        this.scene.fog = new THREE.FogExp2(0x87ceeb, 0.0008);
+    /**
+     * Creates the fog, or retunes it when called again.
+     * @param {object} config The environment.fog section from GraphicsConfig.
+     */
+    init(config) {
+        this.color = config.color === null || config.color === undefined ? null : new THREE.Color(config.color);
+        if (this.scene.fog?.isFogExp2) {
+            this.scene.fog.density = config.density;
+        } else {
+            this.scene.fog = new THREE.FogExp2(0x87ceeb, config.density);
+        }
         console.log('[FogManager] Initialized.');
     }
 
     update(worldState) {
-        // Sync fog color with the background color from DayNightCycle
+        // Sync fog color with the background color from DayNightCycle, unless the world fixes it.
         if (this.scene.fog) {
-            this.scene.fog.color.copy(this.scene.background);
+            this.scene.fog.color.copy(this.color ?? this.scene.background);
         }
     }
 
@@ -60,6 +60,7 @@ export class ParticleManager {
     dispose() {
         if (this.particleSystem) {
             this.particleSystem.geometry.dispose();
+            this.particleSystem.material.map?.dispose();
             this.particleSystem.material.dispose();
             this.scene.remove(this.particleSystem);
         }
@@ -34,6 +34,36 @@ export class PostProcessingManager {
         console.log('[PostProcessingManager] Initialized with passes:', Object.keys(this.passes));
     }
 
+    /**
+     * Retunes the passes built by `init` to new effect settings, e.g. for another world.
+     * Passes that `init` didn't build are not added.
+     * @param {object} config The `effects` object from GraphicsConfig.
+     */
+    configure(config) {
+        const { ssao, bloom, bokeh, godRays, colorGrading } = this.passes;
+        if (ssao) {
+            ssao.kernelRadius = config.ssao.kernelRadius;
+            ssao.minDistance = config.ssao.minDistance;
+            ssao.maxDistance = config.ssao.maxDistance;
+        }
+        if (bloom) {
+            bloom.strength = config.bloom.strength;
+            bloom.radius = config.bloom.radius;
+            bloom.threshold = config.bloom.threshold;
+        }
+        if (bokeh) {
+            bokeh.uniforms.focus.value = config.bokeh.focus;
+            bokeh.uniforms.aperture.value = config.bokeh.aperture;
+            bokeh.uniforms.maxblur.value = config.bokeh.maxblur;
+        }
+        for (const [pass, cfg] of [[godRays, config.godRays], [colorGrading, config.colorGrading]]) {
+            if (!pass) continue;
+            for (const name in pass.uniforms) {
+                if (cfg[name] !== undefined) pass.uniforms[name].value = cfg[name];
+            }
+        }
+    }
+
     /**
      * Checks if the post-processing pipeline is active and has passes.
      */
@@ -76,6 +106,13 @@ export class PostProcessingManager {
         }
     }
 
+    /** Renders at a new pixel ratio, after the renderer's own has changed. */
+    setPixelRatio(ratio) {
+        this.composer.setPixelRatio(ratio);
+        const size = this.renderer.getSize(new THREE.Vector2());
+        this.onResize(size.x, size.y);
+    }
+
     dispose() {
         for (const pass of Object.values(this.passes)) {
             // Custom dispose logic might be needed for some passes
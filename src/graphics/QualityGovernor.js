@@ -0,0 +1,196 @@
+// src/viewer/graphics/QualityGovernor.js
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { deepMerge } from '../utils/deepMerge.js';
+
+/**
+ * The quality ladder, cheapest visual loss first. Each step lowers one setting; it is
+ * skipped when the setting is already at or below that value, or doesn't apply.
+ */
+const QUALITY_STEPS = [
+    { path: 'resolution.renderScale', value: 0.85 },
+    { path: 'postProcessing.effects.ssao.enabled', value: false },
+    { path: 'postProcessing.effects.bloom.enabled', value: false },
+    { path: 'shadows.shadowMapSize', value: 1024, when: config => config.shadows.enabled },
+    { path: 'shadows.csm.cascades', value: 2, when: config => config.shadows.enabled && config.shadows.useCascadedShadows },
+    { path: 'resolution.renderScale', value: 0.7 },
+    { path: 'shadows.shadowMapSize', value: 512, when: config => config.shadows.enabled },
+    { path: 'resolution.maxPixelRatio', value: 1 },
+    { path: 'resolution.renderScale', value: 0.5 },
+];
+
+const DEFAULT_OPTIONS = {
+    targetFps: 50,
+    sampleDuration: 2,    // Seconds of frames averaged for each decision.
+    downgradeBelow: 0.9,  // Step down when the average fps is under targetFps × this.
+    upgradeAbove: 1.1,    // Only count time over targetFps × this as headroom for a step up.
+    upgradeDelay: 10,     // Seconds with headroom before trying a step back up.
+    maxUpgradeDelay: 120, // The delay doubles after each step up that had to be undone.
+    pinned: [],           // Setting paths the governor never changes, e.g. 'shadows.shadowMapSize'.
+};
+
+const MAX_FRAME_SAMPLE = 0.5; // Longer frames are hitches (tab switches, loading), not load.
+
+/**
+ * Watches frame times and trades graphics quality for frame rate.
+ *
+ * When the average frame rate drops under the target it steps down the quality ladder
+ * (render scale, SSAO/bloom, shadow map size, CSM cascades, pixel ratio), one setting
+ * per decision. After `upgradeDelay` seconds comfortably above the target it tries the
+ * last step back up; the gap between the two thresholds is the hysteresis band. A step up
+ * that drops the frame rate again is undone and the next attempt waits twice as long, so
+ * the governor settles instead of oscillating.
+ *
+ * The governor only proposes settings; `getAdjustments` turns them into a partial config
+ * for the viewer to layer over the requested one.
+ *
+ * Events: 'change' with `{ direction: 'down'|'up', path, value, level, fps }`, where
+ * `level` is how many steps are applied.
+ */
+export class QualityGovernor extends EventEmitter {
+    /** @param {object} [options] See DEFAULT_OPTIONS. */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.pinned = new Set(this.options.pinned);
+        this.applied = []; // Indices into QUALITY_STEPS, in the order they were applied.
+
+        this._sampleTime = 0;
+        this._sampleFrames = 0;
+        this._steadyTime = 0;
+        this._upgradeDelay = this.options.upgradeDelay;
+        this._lastUpgradeStep = null; // Still on probation: a drop now undoes it.
+    }
+
+    /** @returns {number} How many steps down the ladder the governor currently is. */
+    get level() {
+        return this.applied.length;
+    }
+
+    /** Keeps the governor's hands off a setting; any step it applied there is dropped. */
+    pin(path) {
+        this.pinned.add(path);
+        this.applied = this.applied.filter(index => QUALITY_STEPS[index].path !== path);
+        if (this._lastUpgradeStep !== null && QUALITY_STEPS[this._lastUpgradeStep].path === path) {
+            this._lastUpgradeStep = null;
+        }
+    }
+
+    unpin(path) {
+        this.pinned.delete(path);
+    }
+
+    /** Drops every step and starts measuring afresh. */
+    reset() {
+        this.applied = [];
+        this._upgradeDelay = this.options.upgradeDelay;
+        this._lastUpgradeStep = null;
+        this._restartSampling();
+    }
+
+    /**
+     * The governor's settings as a partial config, to deep-merge over the requested config.
+     * @param {object} requested The config before the governor's changes.
+     * @returns {object}
+     */
+    getAdjustments(requested) {
+        let adjustments = {};
+        for (const index of this.applied) {
+            const { path, value } = QUALITY_STEPS[index];
+            if (this.pinned.has(path)) continue;
+            // Several steps share a path; the lowest value wins, and never raises the requested one.
+            const current = getPath(deepMerge(requested, adjustments), path);
+            if (isLower(value, current)) adjustments = deepMerge(adjustments, pathToPartial(path, value));
+        }
+        return adjustments;
+    }
+
+    /**
+     * Feeds one frame's duration in. Call every rendered frame.
+     * @param {number} frameTime Seconds since the previous frame, unclamped.
+     * @param {object} requested The config before the governor's changes.
+     * @returns {boolean} Whether the governor's settings changed.
+     */
+    update(frameTime, requested) {
+        if (frameTime <= 0 || frameTime > MAX_FRAME_SAMPLE) return false;
+        this._sampleTime += frameTime;
+        this._sampleFrames++;
+        if (this._sampleTime < this.options.sampleDuration) return false;
+
+        const fps = this._sampleFrames / this._sampleTime;
+        const elapsed = this._sampleTime;
+        this._sampleTime = 0;
+        this._sampleFrames = 0;
+
+        const { targetFps, downgradeBelow, upgradeAbove, maxUpgradeDelay } = this.options;
+        if (fps < targetFps * downgradeBelow) {
+            this._steadyTime = 0;
+            if (this._lastUpgradeStep !== null) {
+                // The last step up cost too much: undo it and wait longer before the next try.
+                const index = this._lastUpgradeStep;
+                this._upgradeDelay = Math.min(this._upgradeDelay * 2, maxUpgradeDelay);
+                return this._apply(index, 'down', fps);
+            }
+            const index = this._nextStep(requested);
+            return index !== null && this._apply(index, 'down', fps);
+        }
+
+        this._lastUpgradeStep = null;
+        if (fps < targetFps * upgradeAbove || !this.applied.length) {
+            this._steadyTime = 0;
+            return false;
+        }
+        this._steadyTime += elapsed;
+        if (this._steadyTime < this._upgradeDelay) return false;
+        return this._apply(this.applied[this.applied.length - 1], 'up', fps);
+    }
+
+    /** The next step down the ladder that would actually lower something. */
+    _nextStep(requested) {
+        const config = deepMerge(requested, this.getAdjustments(requested));
+        const start = this.applied.length ? Math.max(...this.applied) + 1 : 0;
+        for (let index = start; index < QUALITY_STEPS.length; index++) {
+            const { path, value, when } = QUALITY_STEPS[index];
+            if (this.pinned.has(path) || (when && !when(config))) continue;
+            if (isLower(value, getPath(config, path))) return index;
+        }
+        return null;
+    }
+
+    _apply(index, direction, fps) {
+        if (direction === 'down') {
+            this.applied.push(index);
+            this._lastUpgradeStep = null;
+        } else {
+            this.applied.pop();
+            this._lastUpgradeStep = index;
+        }
+        this._restartSampling();
+
+        const step = QUALITY_STEPS[index];
+        // Going up, the setting returns to whatever the previous steps (or the request) leave it at.
+        const value = direction === 'down' ? step.value : undefined;
+        console.log(`[QualityGovernor] Stepped ${direction} '${step.path}' at ${fps.toFixed(1)} fps (level ${this.level}).`);
+        this.emit('change', { direction, path: step.path, value, level: this.level, fps });
+        return true;
+    }
+
+    _restartSampling() {
+        this._sampleTime = 0;
+        this._sampleFrames = 0;
+        this._steadyTime = 0;
+    }
+}
+
+function isLower(value, current) {
+    if (typeof value === 'boolean') return current === true && value === false;
+    return value < (current ?? Infinity);
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((node, key) => node?.[key], object);
+}
+
+function pathToPartial(path, value) {
+    return path.split('.').reduceRight((partial, key) => ({ [key]: partial }), value);
+}
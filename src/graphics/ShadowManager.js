@@ -98,6 +98,36 @@ export class ShadowManager {
         });
     }
 
+    /**
+     * Stops tracking an object's materials, before they are disposed.
+     * @param {THREE.Object3D} object
+     */
+    releaseObject(object) {
+        if (!this.csm) return;
+        object.traverse(node => {
+            if (!node.isMesh || !node.material) return;
+            for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+                this.csm.shaders.delete(material);
+            }
+        });
+    }
+
+    /**
+     * Sets up a material made after its object was processed, such as a faded copy.
+     * @param {THREE.Material} material
+     */
+    setupMaterial(material) {
+        if (this.csm) this.csm.setupMaterial(material);
+    }
+
+    /**
+     * Stops tracking a single material, before it is disposed.
+     * @param {THREE.Material} material
+     */
+    releaseMaterial(material) {
+        if (this.csm) this.csm.shaders.delete(material);
+    }
+
     update(delta, worldState) {
         if (this.csm) {
             const lightDir = new THREE.Vector3().subVectors(this.sunLight.position, worldState.sunTargetPosition).normalize();
@@ -168,7 +198,15 @@ export class ShadowManager {
     }
 
     dispose() {
-        if (this.csm) this.csm.dispose();
+        if (this.csm) {
+            this.csm.remove();
+            this.csm.dispose();
+            for (const light of this.csm.lights) light.dispose(); // Frees the cascade shadow maps.
+        }
+        // Free the fallback shadow map; it's reallocated at the new size if shadows come back.
+        this.sunLight.castShadow = false;
+        this.sunLight.shadow.map?.dispose();
+        this.sunLight.shadow.map = null;
         console.log('[ShadowManager] Disposed.');
     }
 }
\ No newline at end of file
@@ -0,0 +1,320 @@
+// src/viewer/headless/HeadlessSimulation.js
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { Player, MovementMode } from '../Player.js';
+import { GameCamera } from '../GameCamera.js';
+import { PhysicsConfig } from '../PhysicsConfig.js';
+import { FIXED_TIMESTEP, setupGameplay, stepGameplay } from '../world/Gameplay.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { deepMerge } from '../utils/deepMerge.js';
+import { disposeObject } from '../utils/disposeObject.js';
+import { createRandom, randomSeed } from '../utils/random.js';
+import { DefaultCharacters, resolveCharacter } from '../CharacterRegistry.js';
+import { decodeWorld, isWorldFile, isGlbFile } from '../loader/WorldFormat.js';
+import { InputReplayer } from '../replay/InputRecording.js';
+
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_TYPE_JSON = 0x4e4f534a; // 'JSON'
+
+/**
+ * The viewer's gameplay without a renderer or DOM: map collision, spawn points,
+ * checkpoints, triggers, the player controller and the camera, stepped at the viewer's
+ * fixed rate with scripted input. Runs in Node, e.g. to check in CI that every generated
+ * map can be landed on and walked.
+ *
+ *   const sim = new HeadlessSimulation({ character: 'chicken_guy' });
+ *   await sim.load(mapBytes, characterBytes);
+ *   const landed = sim.runUntil(s => s.landedAt !== null, 5);
+ *
+ * Input goes through `controls`, the same control state the viewer's ControlsManager
+ * fills in; set its fields between steps or pass a script to `run`. Textures are never
+ * decoded, as nothing is drawn.
+ *
+ * Events: 'jumped', 'respawned', 'animationchanged' (from the Player), 'triggerenter',
+ * 'triggerstay', 'triggerexit', 'interact', 'landed' (as the viewer's), and 'touchdown'
+ * with `{ time, position }` whenever the player touches the ground after being airborne.
+ */
+export class HeadlessSimulation extends EventEmitter {
+    /**
+     * @param {object} [options] As for createGameViewer: `character`, `characters`,
+     *        `movementMode`, `dropIn`, `collisionExclude`, `cameraCollision` and `seed`.
+     *        Unlike the viewer, `dropIn` defaults to off: the player starts on the spawn
+     *        marker (or at the top of the map without one) rather than 240 m above it, so
+     *        `landedAt` measures the landing itself and not the cinematic fall.
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...options, dropIn: options.dropIn ?? false };
+        this.seed = options.seed ?? randomSeed();
+        this.random = createRandom(this.seed);
+        this.characterRegistry = options.characters || DefaultCharacters;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 2000);
+        this.controls = {
+            forward: false, backward: false, left: false, right: false,
+            jump: false, interact: false, sprint: false,
+            mouseLookActive: false, touchLookActive: false,
+            moveX: 0, moveY: 0, lookX: 0, lookY: 0,
+        };
+
+        this.worldMetadata = {};
+        this.mapRoot = this.mapCollider = this.spawnSystem = this.triggerSystem = null;
+        this.player = this.gameCamera = null;
+
+        this.time = 0;          // Simulated seconds since load or the last restart.
+        this.steps = 0;
+        this.landedAt = null;   // `time` of the first touchdown since the last (re)spawn.
+        this.respawns = 0;      // Kill-plane respawns since load or the last restart.
+        this._wasGrounded = false;
+    }
+
+    /**
+     * Builds the world and the player.
+     * @param {ArrayBuffer} mapData A `.world` file or a GLB.
+     * @param {ArrayBuffer} characterData The character GLB. Pick it with `characterFor`.
+     */
+    async load(mapData, characterData) {
+        let glb = mapData, metadata = {};
+        if (isWorldFile(mapData)) ({ glb, metadata } = decodeWorld(mapData));
+        const [mapGltf, heroGltf] = await Promise.all([parseGltf(glb), parseGltf(characterData)]);
+        this.worldMetadata = metadata;
+
+        const mapCenter = this._setupMap(mapGltf, metadata);
+        const physicsConfig = deepMerge(PhysicsConfig, mapGltf.scene.userData.physics);
+        this.player = new Player(this.scene, physicsConfig.character);
+        for (const type of ['jumped', 'respawned', 'animationchanged']) {
+            this.player.on(type, (...args) => this.emit(type, ...args));
+        }
+        this.player.on('respawned', (reason) => {
+            if (reason === 'killPlane') this.respawns++;
+            this.landedAt = null;
+            this._wasGrounded = false;
+        });
+        await this.player.load(heroGltf, this.spawnSystem.spawn, this.character?.animationGraph);
+        this.player.killPlaneY = this.spawnSystem.killPlaneY;
+        this.player.movementMode = this.options.movementMode || MovementMode.TANK;
+
+        this.gameCamera = new GameCamera(this.camera, this.player.model, mapCenter, this.controls, {
+            collision: this.options.cameraCollision ?? true,
+        });
+        this.gameCamera.setMap(this.mapCollider);
+        this.gameCamera.followHeading = this.player.movementMode === MovementMode.TANK;
+        if (!this.spawnSystem.dropIn) this.gameCamera.reset(false);
+    }
+
+    /**
+     * Which character to load: `options.character`, else the world's, else a seeded random
+     * pick from the registry. Needs the map's metadata, so pass the map first.
+     * @param {ArrayBuffer} [mapData] The map, for the character a `.world` file names.
+     * @returns {{id: string, url: string, animationGraph: (object|undefined)}}
+     */
+    characterFor(mapData) {
+        let choice = this.options.character;
+        if (choice === undefined && mapData && isWorldFile(mapData)) choice = decodeWorld(mapData).metadata.character;
+        this.character = resolveCharacter(choice, this.characterRegistry, this.random);
+        return this.character;
+    }
+
+    /** Puts the player and camera back at the spawn and clears checkpoints and counters. */
+    restart() {
+        this.spawnSystem.reset();
+        this.player.setSpawnPoint(this.spawnSystem.spawn.position, this.spawnSystem.spawn.rotationY);
+        this.player.reset('restart');
+        this.gameCamera.reset(this.spawnSystem.dropIn);
+        this.time = 0;
+        this.steps = 0;
+        this.respawns = 0;
+    }
+
+    /**
+     * Advances the simulation by whole fixed steps.
+     * @param {number} [count]
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) this._fixedStep(this.controls);
+    }
+
+    /**
+     * Runs for a stretch of simulated time.
+     * @param {number} seconds
+     * @param {Array<{time: number, controls: object}>} [script] Control changes, merged into
+     *        `controls` once `time` (seconds from now) is reached, e.g.
+     *        `[{ time: 0, controls: { forward: true } }, { time: 2, controls: { jump: true } }]`.
+     */
+    run(seconds, script = []) {
+        const pending = [...script].sort((a, b) => a.time - b.time);
+        const start = this.time;
+        const steps = Math.round(seconds / FIXED_TIMESTEP);
+        for (let i = 0; i < steps; i++) {
+            while (pending.length && pending[0].time <= this.time - start + 1e-9) {
+                Object.assign(this.controls, pending.shift().controls);
+            }
+            this._fixedStep(this.controls);
+        }
+    }
+
+    /**
+     * Steps until `predicate` holds, or `maxSeconds` of simulated time pass.
+     * @param {function(object): boolean} predicate Called with `getSnapshot()` after each step.
+     * @param {number} maxSeconds
+     * @returns {boolean} Whether the predicate was met.
+     */
+    runUntil(predicate, maxSeconds) {
+        const steps = Math.round(maxSeconds / FIXED_TIMESTEP);
+        for (let i = 0; i < steps; i++) {
+            this._fixedStep(this.controls);
+            if (predicate(this.getSnapshot())) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Plays a recording (see replay/InputRecording.js) from a restart. It should come from
+     * the same world and character; a different one only logs a warning.
+     * @param {ArrayBuffer} data A `.replay` file.
+     * @returns {number} The number of steps played.
+     */
+    replay(data) {
+        const replayer = new InputReplayer(data);
+        const { character, movementMode } = replayer.metadata;
+        if (this.character && character?.url !== this.character.url) {
+            console.warn(`[HeadlessSimulation] The replay was recorded with '${character?.id}', not '${this.character.id}'.`);
+        }
+        this.player.movementMode = movementMode;
+        this.gameCamera.followHeading = movementMode === MovementMode.TANK;
+        this.restart();
+        this.gameCamera.anglesLocked = true;
+        for (let step = replayer.next(); step; step = replayer.next()) {
+            this.gameCamera.azimuth = step.azimuth;
+            this.gameCamera.polar = step.polar;
+            this._fixedStep(step);
+        }
+        this.gameCamera.anglesLocked = false;
+        return replayer.steps;
+    }
+
+    /**
+     * @returns {object} Where everything is: `time`, `steps`, the player's feet `position`
+     *          and `rotationY`, `verticalVelocity`, `grounded`, the Player `state` flags and
+     *          `animation`, `landedAt`, `respawns`, and the `camera` position, how far collision
+     *          pulls it in, its angles and mode.
+     */
+    getSnapshot() {
+        const { player, gameCamera } = this;
+        return {
+            time: this.time,
+            steps: this.steps,
+            position: player.getFeetPosition().toArray(),
+            rotationY: player.model.rotation.y,
+            verticalVelocity: player.verticalVelocity,
+            grounded: player.timeSinceGrounded === 0,
+            state: { ...player.state },
+            animation: player.currentAnimation,
+            landedAt: this.landedAt,
+            respawns: this.respawns,
+            camera: {
+                position: this.camera.position.toArray(),
+                collisionPull: gameCamera.collisionPull,
+                azimuth: gameCamera.azimuth,
+                polar: gameCamera.polar,
+                mode: gameCamera.mode,
+            },
+        };
+    }
+
+    dispose() {
+        this.triggerSystem?.clear();
+        this.triggerSystem?.removeAllListeners();
+        this.mapCollider?.dispose();
+        if (this.mapRoot) disposeObject(this.mapRoot);
+        if (this.player?.model) disposeObject(this.player.model);
+        this.player?.removeAllListeners();
+        this.removeAllListeners();
+        this.mapRoot = this.mapCollider = this.spawnSystem = this.triggerSystem = null;
+        this.player = this.gameCamera = null;
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  INTERNAL HELPERS
+     *══════════════════════════════════════════════════════════*/
+
+    // The viewer's step, with the camera stepped alongside instead of once per frame.
+    _fixedStep(controls) {
+        const { player, gameCamera } = this;
+        if (stepGameplay(this, controls, FIXED_TIMESTEP)) this.emit('landed');
+        gameCamera.update(FIXED_TIMESTEP);
+
+        this.time += FIXED_TIMESTEP;
+        this.steps++;
+        const grounded = player.timeSinceGrounded === 0;
+        if (grounded && !this._wasGrounded) {
+            if (this.landedAt === null) this.landedAt = this.time;
+            this.emit('touchdown', { time: this.time, position: player.getFeetPosition() });
+        }
+        this._wasGrounded = grounded;
+    }
+
+    // GameViewer._setupMap, minus the graphics.
+    _setupMap(gltf, metadata) {
+        const map = gltf.scene;
+        this.mapRoot = map;
+        this.scene.add(map);
+        const { triggerSystem, mapCollider, spawnSystem, mapCenter } = setupGameplay(map, {
+            metadata, collisionExclude: this.options.collisionExclude, dropIn: this.options.dropIn, events: this,
+        });
+        this.triggerSystem = triggerSystem;
+        this.mapCollider = mapCollider;
+        this.spawnSystem = spawnSystem;
+        return mapCenter;
+    }
+}
+
+function parseGltf(data) {
+    return new GLTFLoader().parseAsync(isGlbFile(data) ? withoutTextures(data) : data, '');
+}
+
+/**
+ * A copy of a GLB with its images, textures and texture references removed. Nothing is
+ * drawn headless, and decoding images needs a DOM.
+ */
+function withoutTextures(glb) {
+    const view = new DataView(glb);
+    const jsonLength = view.getUint32(GLB_HEADER_LENGTH, true);
+    if (view.getUint32(GLB_HEADER_LENGTH + 4, true) !== GLB_CHUNK_TYPE_JSON) return glb;
+    const jsonStart = GLB_HEADER_LENGTH + 8;
+    const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, jsonStart, jsonLength)));
+    if (!json.images && !json.textures) return glb;
+
+    delete json.images;
+    delete json.textures;
+    delete json.samplers;
+    const dropTextureRefs = (node) => {
+        if (!node || typeof node !== 'object') return;
+        for (const key of Object.keys(node)) {
+            if (/Texture$/.test(key)) delete node[key];
+            else dropTextureRefs(node[key]);
+        }
+    };
+    dropTextureRefs(json.materials);
+    const isTextureExtension = (name) => /^(KHR|EXT)_texture_/.test(name);
+    json.extensionsUsed = json.extensionsUsed?.filter(name => !isTextureExtension(name));
+    json.extensionsRequired = json.extensionsRequired?.filter(name => !isTextureExtension(name));
+
+    const encoded = new TextEncoder().encode(JSON.stringify(json));
+    const paddedLength = (encoded.byteLength + 3) & ~3;
+    const rest = new Uint8Array(glb, jsonStart + jsonLength); // The BIN chunk, if any.
+    const length = jsonStart + paddedLength + rest.byteLength;
+
+    const bytes = new Uint8Array(length);
+    bytes.set(new Uint8Array(glb, 0, GLB_HEADER_LENGTH));
+    const out = new DataView(bytes.buffer);
+    out.setUint32(8, length, true);
+    out.setUint32(GLB_HEADER_LENGTH, paddedLength, true);
+    out.setUint32(GLB_HEADER_LENGTH + 4, GLB_CHUNK_TYPE_JSON, true);
+    bytes.fill(0x20, jsonStart, jsonStart + paddedLength);
+    bytes.set(encoded, jsonStart);
+    bytes.set(rest, jsonStart + paddedLength);
+    return bytes.buffer;
+}
@@ -0,0 +1,44 @@
+// src/viewer/headless/node.js
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { HeadlessSimulation } from './HeadlessSimulation.js';
+
+/**
+ * Loads a map (and its character) from disk into a ready HeadlessSimulation. Node only;
+ * in a browser, fetch the files yourself and call `HeadlessSimulation.load`.
+ *
+ *   const sim = await loadHeadlessSimulation('out/map-042.world', { seed: 7 });
+ *   assert.ok(sim.runUntil(s => s.landedAt !== null, 5), 'never landed');
+ *
+ * @param {string|URL} map Path or URL of a `.world` file or GLB.
+ * @param {object} [options] HeadlessSimulation options. A relative character path or URL
+ *        is resolved against the map.
+ * @returns {Promise<HeadlessSimulation>}
+ */
+export async function loadHeadlessSimulation(map, options = {}) {
+    const mapUrl = toUrl(map, pathToFileURL(`${process.cwd()}${path.sep}`));
+    const sim = new HeadlessSimulation(options);
+    const mapData = await readBytes(mapUrl);
+    const character = sim.characterFor(mapData);
+    const characterData = await readBytes(toUrl(character.url, mapUrl));
+    await sim.load(mapData, characterData);
+    return sim;
+}
+
+function toUrl(location, base) {
+    if (location instanceof URL) return location;
+    if (/^[a-z][a-z0-9+.-]+:/i.test(location) && !path.isAbsolute(location)) return new URL(location);
+    return path.isAbsolute(location) ? pathToFileURL(location) : new URL(location, base);
+}
+
+async function readBytes(url) {
+    if (url.protocol === 'file:') {
+        const bytes = await readFile(fileURLToPath(url));
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`[HeadlessSimulation] ${url} answered HTTP ${response.status}.`);
+    return response.arrayBuffer();
+}
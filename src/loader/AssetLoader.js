@@ -0,0 +1,89 @@
+// src/loader/AssetLoader.js
+
+import { LoaderUtils } from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { LoadAbortedError } from './LoadErrors.js';
+import { parseWorld } from './BuliLoader.js';
+
+/**
+ * Downloads a file, reporting bytes as they arrive.
+ *
+ * GLTFLoader's own loading can't be cancelled, so assets are fetched here and
+ * parsed afterwards; aborting the signal cancels the request itself.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {function({loaded: number, total: number}): void} [options.onProgress]
+ *        `total` is 0 when the server doesn't send a usable Content-Length, and stays 0
+ *        for the whole download.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchArrayBuffer(url, { signal, onProgress } = {}) {
+    let response;
+    try {
+        response = await fetch(url, { signal });
+    } catch (error) {
+        if (signal?.aborted) throw new LoadAbortedError(undefined, { url, cause: error });
+        throw error;
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+
+    // Compressed responses report the compressed length, so it's only a hint.
+    const encoded = response.headers.get('Content-Encoding');
+    const total = encoded ? 0 : Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body || !onProgress) return response.arrayBuffer();
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    onProgress({ loaded, total });
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress({ loaded, total });
+        }
+    } catch (error) {
+        if (signal?.aborted) throw new LoadAbortedError(undefined, { url, cause: error });
+        throw error;
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Fetches and parses a glTF/GLB file.
+ * @param {string} url
+ * @param {object} [options] See `fetchArrayBuffer`.
+ * @returns {Promise<object>} The parsed GLTF.
+ */
+export async function loadGltf(url, options = {}) {
+    const data = await fetchArrayBuffer(url, options);
+    if (options.signal?.aborted) throw new LoadAbortedError(undefined, { url });
+    const gltf = await new GLTFLoader().parseAsync(data, LoaderUtils.extractUrlBase(url));
+    if (options.signal?.aborted) throw new LoadAbortedError(undefined, { url });
+    return gltf;
+}
+
+/**
+ * Fetches and parses a map: a `.world` file or a plain glTF/GLB.
+ * @param {string} url
+ * @param {object} [options] See `fetchArrayBuffer`.
+ * @returns {Promise<{gltf: object, glb: ArrayBuffer, metadata: object, version: (number|null)}>} See `parseWorld`.
+ */
+export async function loadWorldFile(url, options = {}) {
+    const data = await fetchArrayBuffer(url, options);
+    if (options.signal?.aborted) throw new LoadAbortedError(undefined, { url });
+    const world = await parseWorld(data, LoaderUtils.extractUrlBase(url));
+    if (options.signal?.aborted) throw new LoadAbortedError(undefined, { url });
+    return world;
+}
@@ -0,0 +1,74 @@
+// src/loader/BuliLoader.js
+
+import { FileLoader, Loader, LoaderUtils } from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { decodeWorld, isWorldFile } from './WorldFormat.js';
+
+/**
+ * Three.js loader for `.world` files (see WorldFormat.js). Plain glTF/GLB files load too,
+ * with empty metadata.
+ *
+ *   const loader = new BuliLoader();
+ *   loader.load('/maps/myMap.world', scene => threeScene.add(scene));
+ *
+ * The result is the map's scene; the world metadata is on `scene.userData.world` and the
+ * map's animation clips on `scene.animations`.
+ */
+export class BuliLoader extends Loader {
+    constructor(manager) {
+        super(manager);
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        const resourcePath = this.resourcePath || this.path || LoaderUtils.extractUrlBase(url);
+        const fail = (error) => {
+            if (onError) onError(error);
+            else console.error(error);
+            this.manager.itemError(url);
+        };
+
+        const loader = new FileLoader(this.manager);
+        loader.setPath(this.path);
+        loader.setResponseType('arraybuffer');
+        loader.setRequestHeader(this.requestHeader);
+        loader.setWithCredentials(this.withCredentials);
+        loader.load(url, (data) => {
+            this.parse(data, resourcePath, onLoad, fail);
+        }, onProgress, fail);
+    }
+
+    /**
+     * @param {ArrayBuffer} data A `.world` or glTF file.
+     * @param {string} path Base path for any external resources the map references.
+     * @param {function(THREE.Group): void} onLoad
+     * @param {function(Error): void} [onError]
+     */
+    parse(data, path, onLoad, onError) {
+        parseWorld(data, path, this.manager).then(({ gltf, metadata }) => {
+            const scene = gltf.scene;
+            scene.userData.world = metadata;
+            scene.animations = gltf.animations;
+            onLoad(scene);
+        }, onError);
+    }
+
+    parseAsync(data, path) {
+        return new Promise((resolve, reject) => this.parse(data, path, resolve, reject));
+    }
+}
+
+/**
+ * Parses a `.world` or glTF file into the map's GLTF and the world metadata.
+ * @param {ArrayBuffer} data
+ * @param {string} path Base path for external resources.
+ * @param {THREE.LoadingManager} [manager]
+ * @returns {Promise<{gltf: object, glb: ArrayBuffer, metadata: object, version: (number|null)}>}
+ *          `glb` is the map's own file, `version` the `.world` format version or null for a plain GLB.
+ */
+export async function parseWorld(data, path, manager) {
+    let glb = data, metadata = {}, version = null;
+    // Anything that isn't a .world goes straight to GLTFLoader, which also takes .gltf JSON.
+    if (isWorldFile(data)) ({ glb, metadata, version } = decodeWorld(data));
+    const gltf = await new GLTFLoader(manager).parseAsync(glb, path);
+    return { gltf, glb, metadata, version };
+}
@@ -0,0 +1,40 @@
+// src/loader/LoadErrors.js
+
+/**
+ * Base class for everything that can make a viewer fail to load.
+ * `url` is the asset that failed, when there is one; `cause` is the original error.
+ */
+export class ViewerLoadError extends Error {
+    constructor(message, { url, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ViewerLoadError';
+        this.url = url ?? null;
+    }
+}
+
+/** The world file could not be fetched or parsed. */
+export class MapLoadError extends ViewerLoadError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'MapLoadError';
+    }
+}
+
+/** The character file could not be fetched or parsed. */
+export class CharacterLoadError extends ViewerLoadError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CharacterLoadError';
+    }
+}
+
+/**
+ * Loading was cancelled through its AbortSignal, or the viewer was destroyed first.
+ * Named 'AbortError' like the DOM's, so `error.name === 'AbortError'` checks keep working.
+ */
+export class LoadAbortedError extends ViewerLoadError {
+    constructor(message = 'Loading was aborted.', options) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
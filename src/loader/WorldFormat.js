@@ -0,0 +1,116 @@
+// src/loader/WorldFormat.js
+
+/**
+ * The `.world` container: one map GLB plus the metadata needed to play it.
+ *
+ * Laid out like a GLB, little-endian throughout:
+ *
+ *   Header   magic 'BULI' (uint32) · format version (uint32) · total length in bytes (uint32)
+ *   Chunks   length (uint32) · type (uint32) · data, padded to a multiple of 4 bytes
+ *
+ * Chunks:
+ *   'JSON'   UTF-8 metadata, padded with spaces. Required, and always first.
+ *   'GLB\0'  The map, a complete binary glTF. Required.
+ * Readers skip chunk types they don't know, so new chunks can be added without a
+ * version bump; the version only changes when existing data changes meaning.
+ *
+ * Metadata (every field optional):
+ *   name       Display name.
+ *   spawn      { position: [x, y, z], rotationY } for the player's feet; wins over spawn markers.
+ *   graphics   GraphicsConfig overrides; they win over the map's own `graphics` scene extras.
+ *   character  A character registry id, a GLB URL or a `{ url, animationGraph }` entry,
+ *              used when the viewer isn't given one.
+ */
+
+export const WORLD_MAGIC = 0x494c5542;          // 'BULI'
+export const WORLD_VERSION = 1;
+export const CHUNK_TYPE_JSON = 0x4e4f534a;      // 'JSON'
+export const CHUNK_TYPE_GLB = 0x00424c47;       // 'GLB\0'
+const GLB_MAGIC = 0x46546c67;                   // 'glTF'
+
+const HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+
+/** @returns {boolean} Whether the buffer starts like a `.world` file. */
+export function isWorldFile(data) {
+    return data.byteLength >= HEADER_LENGTH && new DataView(data).getUint32(0, true) === WORLD_MAGIC;
+}
+
+/** @returns {boolean} Whether the buffer is a binary glTF, the only kind of map a `.world` can hold. */
+export function isGlbFile(data) {
+    return data.byteLength >= HEADER_LENGTH && new DataView(data).getUint32(0, true) === GLB_MAGIC;
+}
+
+/**
+ * Splits a `.world` file into its parts.
+ * @param {ArrayBuffer} data
+ * @returns {{version: number, metadata: object, glb: ArrayBuffer}}
+ */
+export function decodeWorld(data) {
+    if (!isWorldFile(data)) throw new Error('[WorldFormat] Not a .world file.');
+    const view = new DataView(data);
+    const version = view.getUint32(4, true);
+    const length = view.getUint32(8, true);
+    if (version > WORLD_VERSION) {
+        throw new Error(`[WorldFormat] .world version ${version} is newer than this viewer supports (${WORLD_VERSION}).`);
+    }
+    if (length > data.byteLength) throw new Error('[WorldFormat] The .world file is truncated.');
+
+    let metadata = null;
+    let glb = null;
+    let offset = HEADER_LENGTH;
+    while (offset + CHUNK_HEADER_LENGTH <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const start = offset + CHUNK_HEADER_LENGTH;
+        if (start + chunkLength > length) throw new Error('[WorldFormat] A chunk runs past the end of the file.');
+
+        if (chunkType === CHUNK_TYPE_JSON && metadata === null) {
+            metadata = JSON.parse(new TextDecoder().decode(new Uint8Array(data, start, chunkLength)));
+        } else if (chunkType === CHUNK_TYPE_GLB && glb === null) {
+            glb = data.slice(start, start + chunkLength);
+        }
+        offset = start + chunkLength;
+    }
+
+    if (metadata === null) throw new Error('[WorldFormat] The .world file has no metadata chunk.');
+    if (glb === null) throw new Error('[WorldFormat] The .world file has no map chunk.');
+    return { version, metadata, glb };
+}
+
+/**
+ * Packs a map and its metadata into a `.world` file; the inverse of `decodeWorld`.
+ * @param {{metadata: object, glb: ArrayBuffer}} world
+ * @returns {ArrayBuffer}
+ */
+export function encodeWorld({ metadata = {}, glb }) {
+    if (!glb || !isGlbFile(glb)) throw new Error('[WorldFormat] The map must be a binary glTF (.glb).');
+
+    const json = new TextEncoder().encode(JSON.stringify(metadata));
+    const jsonLength = padded(json.byteLength);
+    const glbLength = padded(glb.byteLength);
+    const length = HEADER_LENGTH + CHUNK_HEADER_LENGTH + jsonLength + CHUNK_HEADER_LENGTH + glbLength;
+
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, WORLD_MAGIC, true);
+    view.setUint32(4, WORLD_VERSION, true);
+    view.setUint32(8, length, true);
+
+    let offset = HEADER_LENGTH;
+    view.setUint32(offset, jsonLength, true);
+    view.setUint32(offset + 4, CHUNK_TYPE_JSON, true);
+    offset += CHUNK_HEADER_LENGTH;
+    bytes.fill(0x20, offset, offset + jsonLength);
+    bytes.set(json, offset);
+    offset += jsonLength;
+
+    view.setUint32(offset, glbLength, true);
+    view.setUint32(offset + 4, CHUNK_TYPE_GLB, true);
+    bytes.set(new Uint8Array(glb), offset + CHUNK_HEADER_LENGTH);
+    return bytes.buffer;
+}
+
+function padded(length) {
+    return (length + 3) & ~3;
+}
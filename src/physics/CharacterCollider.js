@@ -0,0 +1,205 @@
+// src/physics/CharacterCollider.js
+
+import * as THREE from 'three';
+
+/*───────────────────────────────
+ * COLLIDER TUNING CONSTANTS
+ *───────────────────────────────*/
+const RADIUS_TO_HEIGHT   = 0.18; // Capsule radius as a fraction of the character height.
+const STEP_TO_HEIGHT     = 0.2;  // Bottom of the capsule is lifted this much so floors don't push.
+const MAX_ITERATIONS     = 4;    // Resolution passes per tick; more passes = better corners.
+const MAX_SLOPE_ANGLE    = 45;   // Degrees. Surfaces flatter than this are floors/ceilings, not walls.
+const SKIN_WIDTH         = 0.001;
+
+/**
+ * A vertical capsule that keeps the character out of walls.
+ *
+ * Vertical motion (gravity, landing, jumping) stays with the Player's ground ray.
+ * The capsule only resolves *horizontal* penetration, which makes the character
+ * slide along walls instead of stopping dead, and lets it settle into corners.
+ */
+export class CharacterCollider {
+    /**
+     * @param {number} height The character's height in world units.
+     * @param {object} [options]
+     * @param {number} [options.radius] Capsule radius. Derived from the height if omitted.
+     * @param {number} [options.stepOffset] Gap between the feet and the bottom of the capsule;
+     *        anything lower than this is left to the Player's step-up logic.
+     * @param {number} [options.maxSlopeAngle] Degrees. Steeper surfaces push like walls.
+     */
+    constructor(height, options = {}) {
+        this.height = height;
+        this.radius = options.radius ?? height * RADIUS_TO_HEIGHT;
+        this.stepOffset = options.stepOffset ?? height * STEP_TO_HEIGHT;
+        this.floorNormalY = Math.cos(THREE.MathUtils.degToRad(options.maxSlopeAngle ?? MAX_SLOPE_ANGLE));
+
+        this.segment = new THREE.Line3();
+        this.bounds = new THREE.Box3();
+
+        // Scratch objects reused every tick to avoid garbage.
+        this._segPoint = new THREE.Vector3();
+        this._triPoint = new THREE.Vector3();
+        this._push = new THREE.Vector3();
+    }
+
+    /**
+     * Pushes the character out of any wall geometry it overlaps.
+     * @param {THREE.Vector3} position The model position; modified in place.
+     * @param {number} feetOffset Distance from the model origin down to its feet.
+     * @param {CollisionWorld} mapCollider The map's collision data.
+     * @returns {boolean} True if the character touched a wall this tick.
+     */
+    resolve(position, feetOffset, mapCollider) {
+        let touched = false;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            this._updateShape(position, feetOffset);
+            let pushed = false;
+
+            mapCollider.forEachTriangleInBox(this.bounds, (triangle) => {
+                if (this._pushOutOfTriangle(triangle, position)) {
+                    this._updateShape(position, feetOffset);
+                    pushed = true;
+                }
+            });
+
+            if (!pushed) break;
+            touched = true;
+        }
+        return touched;
+    }
+
+    _updateShape(position, feetOffset) {
+        const feetY = position.y - feetOffset;
+        const bottom = feetY + this.stepOffset + this.radius;
+        const top = Math.max(bottom, feetY + this.height - this.radius);
+        this.segment.start.set(position.x, bottom, position.z);
+        this.segment.end.set(position.x, top, position.z);
+
+        this.bounds.makeEmpty();
+        this.bounds.expandByPoint(this.segment.start).expandByPoint(this.segment.end);
+        this.bounds.expandByScalar(this.radius);
+    }
+
+    _pushOutOfTriangle(triangle, position) {
+        const distance = closestPointsSegmentTriangle(this.segment, triangle, this._segPoint, this._triPoint);
+        if (distance >= this.radius) return false;
+
+        if (distance > 1e-6) {
+            this._push.subVectors(this._segPoint, this._triPoint).divideScalar(distance);
+        } else {
+            // The segment pierces the triangle; fall back to the face normal,
+            // flipped towards the side the capsule's centre is on.
+            triangle.getNormal(this._push);
+            const center = this.segment.getCenter(this._triPoint).sub(triangle.a);
+            if (center.dot(this._push) < 0) this._push.negate();
+        }
+
+        if (Math.abs(this._push.y) > this.floorNormalY) return false;
+
+        this._push.y = 0;
+        const horizontal = this._push.length();
+        if (horizontal < 1e-6) return false;
+
+        // Clearing the penetration along a slanted normal takes a longer horizontal push.
+        const depth = (this.radius - distance + SKIN_WIDTH) / horizontal;
+        position.addScaledVector(this._push.divideScalar(horizontal), depth);
+        return true;
+    }
+}
+
+/*══════════════════════════════════════════════════════════
+ *  GEOMETRY HELPERS
+ *══════════════════════════════════════════════════════════*/
+
+const _edge = new THREE.Line3();
+const _plane = new THREE.Plane();
+const _candidateSeg = new THREE.Vector3();
+const _candidateTri = new THREE.Vector3();
+
+/**
+ * Finds the closest pair of points between a segment and a triangle.
+ * @returns {number} The distance between them.
+ */
+export function closestPointsSegmentTriangle(segment, triangle, segTarget, triTarget) {
+    // A segment crossing the triangle's face touches it at distance zero.
+    triangle.getPlane(_plane);
+    if (_plane.intersectLine(segment, _candidateSeg) && triangle.containsPoint(_candidateSeg)) {
+        segTarget.copy(_candidateSeg);
+        triTarget.copy(_candidateSeg);
+        return 0;
+    }
+
+    let best = Infinity;
+    const consider = () => {
+        const d = _candidateSeg.distanceToSquared(_candidateTri);
+        if (d < best) {
+            best = d;
+            segTarget.copy(_candidateSeg);
+            triTarget.copy(_candidateTri);
+        }
+    };
+
+    // Segment endpoints against the face.
+    _candidateSeg.copy(segment.start);
+    triangle.closestPointToPoint(_candidateSeg, _candidateTri);
+    consider();
+    _candidateSeg.copy(segment.end);
+    triangle.closestPointToPoint(_candidateSeg, _candidateTri);
+    consider();
+
+    // Segment against each edge.
+    const corners = [triangle.a, triangle.b, triangle.c];
+    for (let i = 0; i < 3; i++) {
+        _edge.set(corners[i], corners[(i + 1) % 3]);
+        closestPointsSegmentSegment(segment, _edge, _candidateSeg, _candidateTri);
+        consider();
+    }
+
+    return Math.sqrt(best);
+}
+
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+
+/**
+ * Closest points between two segments (Ericson, Real-Time Collision Detection 5.1.9).
+ */
+export function closestPointsSegmentSegment(s1, s2, target1, target2) {
+    _d1.subVectors(s1.end, s1.start);
+    _d2.subVectors(s2.end, s2.start);
+    _r.subVectors(s1.start, s2.start);
+    const a = _d1.dot(_d1);
+    const e = _d2.dot(_d2);
+    const f = _d2.dot(_r);
+    let s, t;
+
+    if (a <= 1e-12 && e <= 1e-12) {
+        s = t = 0;
+    } else if (a <= 1e-12) {
+        s = 0;
+        t = THREE.MathUtils.clamp(f / e, 0, 1);
+    } else {
+        const c = _d1.dot(_r);
+        if (e <= 1e-12) {
+            t = 0;
+            s = THREE.MathUtils.clamp(-c / a, 0, 1);
+        } else {
+            const b = _d1.dot(_d2);
+            const denom = a * e - b * b;
+            s = denom !== 0 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = THREE.MathUtils.clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    target1.copy(s1.start).addScaledVector(_d1, s);
+    target2.copy(s2.start).addScaledVector(_d2, t);
+}
@@ -0,0 +1,356 @@
+// src/physics/CollisionWorld.js
+
+import * as THREE from 'three';
+
+/*───────────────────────────────
+ * BVH TUNING CONSTANTS
+ *───────────────────────────────*/
+const MAX_LEAF_TRIANGLES = 8;
+const MAX_DEPTH          = 40;
+
+/**
+ * Static collision geometry for a loaded map, baked into a bounding volume hierarchy.
+ *
+ * Every collidable triangle is copied into world space once at load, so queries never
+ * touch the scene graph again. This assumes the map does not move after it is loaded.
+ *
+ * A mesh is left out of the collision data when:
+ *  - its glTF extras contain `"collider": false` (or `"decorative": true`), or
+ *  - its name matches an entry of `options.exclude` (exact string or RegExp).
+ */
+export class CollisionWorld {
+    /**
+     * @param {THREE.Object3D} root The map's root object, already added to the scene.
+     * @param {object} [options]
+     * @param {Array<string|RegExp>} [options.exclude] Mesh names to leave out.
+     */
+    constructor(root, options = {}) {
+        this.exclude = options.exclude || [];
+        this.meshes = [];
+        this.bounds = new THREE.Box3();
+
+        this.positions = null;    // Float32Array, 9 floats per triangle (world space)
+        this.triangleMesh = null; // Uint32Array, index into `meshes` per triangle
+        this.nodeBounds = null;   // Float32Array, 6 floats per node (min xyz, max xyz)
+        this.nodeData = null;     // Int32Array, 2 ints per node (see _buildNode)
+
+        // Scratch objects reused by queries.
+        this._triangle = new THREE.Triangle();
+        this._edge1 = new THREE.Vector3();
+        this._edge2 = new THREE.Vector3();
+        this._pvec = new THREE.Vector3();
+        this._tvec = new THREE.Vector3();
+        this._qvec = new THREE.Vector3();
+
+        this._build(root);
+    }
+
+    /** @returns {number} The number of triangles in the collision data. */
+    get triangleCount() {
+        return this.triangleMesh ? this.triangleMesh.length : 0;
+    }
+
+    /**
+     * Casts a ray and returns the nearest hit, or null.
+     * The returned normal is the face normal, turned to face the ray origin.
+     * @param {THREE.Vector3} origin
+     * @param {THREE.Vector3} direction Must be normalized.
+     * @param {number} [far]
+     * @returns {{distance: number, point: THREE.Vector3, normal: THREE.Vector3, object: THREE.Mesh}|null}
+     */
+    raycast(origin, direction, far = Infinity) {
+        if (!this.triangleCount) return null;
+
+        const invX = 1 / direction.x, invY = 1 / direction.y, invZ = 1 / direction.z;
+        let bestDistance = far;
+        let bestTriangle = -1;
+
+        const stack = [0];
+        while (stack.length) {
+            const node = stack.pop();
+            if (!this._rayHitsNode(node, origin, invX, invY, invZ, bestDistance)) continue;
+
+            const a = this.nodeData[node * 2];
+            const b = this.nodeData[node * 2 + 1];
+            if (b < 0) { // leaf: a = first triangle, ~b = count
+                for (let t = a, end = a + ~b; t < end; t++) {
+                    const distance = this._rayTriangle(t, origin, direction);
+                    if (distance !== null && distance < bestDistance) {
+                        bestDistance = distance;
+                        bestTriangle = t;
+                    }
+                }
+            } else {
+                stack.push(a, b);
+            }
+        }
+
+        if (bestTriangle < 0) return null;
+
+        const triangle = this.getTriangle(bestTriangle, this._triangle);
+        const normal = triangle.getNormal(new THREE.Vector3());
+        if (normal.dot(direction) > 0) normal.negate();
+        return {
+            distance: bestDistance,
+            point: origin.clone().addScaledVector(direction, bestDistance),
+            normal,
+            object: this.meshes[this.triangleMesh[bestTriangle]],
+        };
+    }
+
+    /**
+     * Calls `callback(triangle, index)` for every triangle whose bounds overlap `box`.
+     * The same triangle object is reused between calls; copy it if you need to keep it.
+     * @param {THREE.Box3} box
+     * @param {function(THREE.Triangle, number): void} callback
+     */
+    forEachTriangleInBox(box, callback) {
+        if (!this.triangleCount || !this._nodeOverlapsBox(0, box)) return;
+
+        const stack = [0];
+        while (stack.length) {
+            const node = stack.pop();
+            const a = this.nodeData[node * 2];
+            const b = this.nodeData[node * 2 + 1];
+            if (b < 0) {
+                for (let t = a, end = a + ~b; t < end; t++) {
+                    if (!this._triangleOverlapsBox(t, box)) continue;
+                    callback(this.getTriangle(t, this._triangle), t);
+                }
+            } else {
+                if (this._nodeOverlapsBox(a, box)) stack.push(a);
+                if (this._nodeOverlapsBox(b, box)) stack.push(b);
+            }
+        }
+    }
+
+    /**
+     * Reads a triangle out of the collision data.
+     * @param {number} index
+     * @param {THREE.Triangle} target
+     */
+    getTriangle(index, target) {
+        const p = this.positions, o = index * 9;
+        target.a.set(p[o], p[o + 1], p[o + 2]);
+        target.b.set(p[o + 3], p[o + 4], p[o + 5]);
+        target.c.set(p[o + 6], p[o + 7], p[o + 8]);
+        return target;
+    }
+
+    /** Releases the collision buffers. */
+    dispose() {
+        this.positions = this.triangleMesh = this.nodeBounds = this.nodeData = null;
+        this.meshes = [];
+        this.bounds.makeEmpty();
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  BUILD
+     *══════════════════════════════════════════════════════════*/
+
+    _isExcluded(mesh) {
+        const extras = mesh.userData || {};
+        if (extras.collider === false || extras.decorative === true) return true;
+        return this.exclude.some(rule =>
+            rule instanceof RegExp ? rule.test(mesh.name) : rule === mesh.name);
+    }
+
+    _build(root) {
+        root.updateMatrixWorld(true);
+
+        const triangles = [];
+        const owners = [];
+        const vertex = new THREE.Vector3();
+        const instanceMatrix = new THREE.Matrix4();
+        const worldMatrix = new THREE.Matrix4();
+
+        root.traverse((node) => {
+            if (!node.isMesh || !node.geometry?.attributes.position) return;
+            if (this._isExcluded(node)) return;
+
+            const meshIndex = this.meshes.push(node) - 1;
+            const position = node.geometry.attributes.position;
+            const index = node.geometry.index;
+            const count = index ? index.count : position.count;
+            const instances = node.isInstancedMesh ? node.count : 1;
+
+            for (let instance = 0; instance < instances; instance++) {
+                worldMatrix.copy(node.matrixWorld);
+                if (node.isInstancedMesh) {
+                    node.getMatrixAt(instance, instanceMatrix);
+                    worldMatrix.multiply(instanceMatrix);
+                }
+                for (let i = 0; i + 2 < count; i += 3) {
+                    for (let k = 0; k < 3; k++) {
+                        const vi = index ? index.getX(i + k) : i + k;
+                        vertex.fromBufferAttribute(position, vi).applyMatrix4(worldMatrix);
+                        triangles.push(vertex.x, vertex.y, vertex.z);
+                    }
+                    owners.push(meshIndex);
+                }
+            }
+        });
+
+        const count = owners.length;
+        const positions = new Float32Array(triangles);
+        const centroids = new Float32Array(count * 3);
+        for (let t = 0; t < count; t++) {
+            const o = t * 9;
+            centroids[t * 3]     = (positions[o]     + positions[o + 3] + positions[o + 6]) / 3;
+            centroids[t * 3 + 1] = (positions[o + 1] + positions[o + 4] + positions[o + 7]) / 3;
+            centroids[t * 3 + 2] = (positions[o + 2] + positions[o + 5] + positions[o + 8]) / 3;
+        }
+
+        // Build over a permutation, then reorder the triangles so every leaf is contiguous.
+        const order = new Uint32Array(count);
+        for (let t = 0; t < count; t++) order[t] = t;
+
+        const nodeCapacity = Math.max(1, Math.ceil(count / MAX_LEAF_TRIANGLES) * 2);
+        this.nodeBounds = new Float32Array(nodeCapacity * 6);
+        this.nodeData = new Int32Array(nodeCapacity * 2);
+        this._nodeCount = 0;
+        this._buildNode(order, 0, count, positions, centroids, 0);
+        this.nodeBounds = this.nodeBounds.slice(0, this._nodeCount * 6);
+        this.nodeData = this.nodeData.slice(0, this._nodeCount * 2);
+
+        this.positions = new Float32Array(count * 9);
+        this.triangleMesh = new Uint32Array(count);
+        for (let t = 0; t < count; t++) {
+            this.positions.set(positions.subarray(order[t] * 9, order[t] * 9 + 9), t * 9);
+            this.triangleMesh[t] = owners[order[t]];
+        }
+
+        if (count) {
+            const b = this.nodeBounds;
+            this.bounds.min.set(b[0], b[1], b[2]);
+            this.bounds.max.set(b[3], b[4], b[5]);
+        }
+        console.log(`[CollisionWorld] Built BVH: ${count} triangles from ${this.meshes.length} meshes, ${this._nodeCount} nodes.`);
+    }
+
+    /**
+     * Node layout in `nodeData`: an internal node stores its two children (both >= 0);
+     * a leaf stores its first triangle and the bitwise-NOT of its triangle count (< 0).
+     */
+    _buildNode(order, start, end, positions, centroids, depth) {
+        const node = this._growNodes();
+        const bounds = this.nodeBounds;
+        const o = node * 6;
+        bounds[o] = bounds[o + 1] = bounds[o + 2] = Infinity;
+        bounds[o + 3] = bounds[o + 4] = bounds[o + 5] = -Infinity;
+
+        const cmin = [Infinity, Infinity, Infinity];
+        const cmax = [-Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            const t = order[i];
+            for (let k = 0; k < 9; k++) {
+                const axis = k % 3, v = positions[t * 9 + k];
+                if (v < bounds[o + axis]) bounds[o + axis] = v;
+                if (v > bounds[o + 3 + axis]) bounds[o + 3 + axis] = v;
+            }
+            for (let axis = 0; axis < 3; axis++) {
+                const c = centroids[t * 3 + axis];
+                if (c < cmin[axis]) cmin[axis] = c;
+                if (c > cmax[axis]) cmax[axis] = c;
+            }
+        }
+
+        const count = end - start;
+        if (count <= MAX_LEAF_TRIANGLES || depth >= MAX_DEPTH) {
+            this.nodeData[node * 2] = start;
+            this.nodeData[node * 2 + 1] = ~count;
+            return node;
+        }
+
+        // Split at the centroid midpoint of the longest axis; fall back to a median split.
+        const extents = [cmax[0] - cmin[0], cmax[1] - cmin[1], cmax[2] - cmin[2]];
+        const axis = extents.indexOf(Math.max(...extents));
+        const pivot = (cmin[axis] + cmax[axis]) / 2;
+
+        let mid = start;
+        for (let i = start; i < end; i++) {
+            if (centroids[order[i] * 3 + axis] < pivot) {
+                const tmp = order[i]; order[i] = order[mid]; order[mid] = tmp;
+                mid++;
+            }
+        }
+        if (mid === start || mid === end) {
+            const sorted = Array.from(order.subarray(start, end))
+                .sort((x, y) => centroids[x * 3 + axis] - centroids[y * 3 + axis]);
+            order.set(sorted, start);
+            mid = start + (count >> 1);
+        }
+
+        const left = this._buildNode(order, start, mid, positions, centroids, depth + 1);
+        const right = this._buildNode(order, mid, end, positions, centroids, depth + 1);
+        this.nodeData[node * 2] = left;
+        this.nodeData[node * 2 + 1] = right;
+        return node;
+    }
+
+    _growNodes() {
+        const node = this._nodeCount++;
+        if (node * 2 + 2 > this.nodeData.length) {
+            const bounds = new Float32Array(this.nodeBounds.length * 2);
+            bounds.set(this.nodeBounds);
+            const data = new Int32Array(this.nodeData.length * 2);
+            data.set(this.nodeData);
+            this.nodeBounds = bounds;
+            this.nodeData = data;
+        }
+        return node;
+    }
+
+    /*══════════════════════════════════════════════════════════
+     *  QUERY HELPERS
+     *══════════════════════════════════════════════════════════*/
+
+    _rayHitsNode(node, origin, invX, invY, invZ, far) {
+        const b = this.nodeBounds, o = node * 6;
+        let t1 = (b[o] - origin.x) * invX, t2 = (b[o + 3] - origin.x) * invX;
+        let tmin = Math.min(t1, t2), tmax = Math.max(t1, t2);
+        t1 = (b[o + 1] - origin.y) * invY; t2 = (b[o + 4] - origin.y) * invY;
+        tmin = Math.max(tmin, Math.min(t1, t2)); tmax = Math.min(tmax, Math.max(t1, t2));
+        t1 = (b[o + 2] - origin.z) * invZ; t2 = (b[o + 5] - origin.z) * invZ;
+        tmin = Math.max(tmin, Math.min(t1, t2)); tmax = Math.min(tmax, Math.max(t1, t2));
+        // NaN (0 * Infinity on a flat node) compares false, so treat it as a hit.
+        return !(tmax < Math.max(tmin, 0)) && !(tmin > far);
+    }
+
+    /** Double-sided Möller–Trumbore; returns the hit distance or null. */
+    _rayTriangle(index, origin, direction) {
+        const p = this.positions, o = index * 9;
+        this._edge1.set(p[o + 3] - p[o], p[o + 4] - p[o + 1], p[o + 5] - p[o + 2]);
+        this._edge2.set(p[o + 6] - p[o], p[o + 7] - p[o + 1], p[o + 8] - p[o + 2]);
+        this._pvec.crossVectors(direction, this._edge2);
+        const det = this._edge1.dot(this._pvec);
+        if (Math.abs(det) < 1e-12) return null;
+
+        const inv = 1 / det;
+        this._tvec.set(origin.x - p[o], origin.y - p[o + 1], origin.z - p[o + 2]);
+        const u = this._tvec.dot(this._pvec) * inv;
+        if (u < 0 || u > 1) return null;
+        this._qvec.crossVectors(this._tvec, this._edge1);
+        const v = direction.dot(this._qvec) * inv;
+        if (v < 0 || u + v > 1) return null;
+        const t = this._edge2.dot(this._qvec) * inv;
+        return t >= 0 ? t : null;
+    }
+
+    _nodeOverlapsBox(node, box) {
+        const b = this.nodeBounds, o = node * 6;
+        return !(b[o + 3] < box.min.x || b[o] > box.max.x ||
+                 b[o + 4] < box.min.y || b[o + 1] > box.max.y ||
+                 b[o + 5] < box.min.z || b[o + 2] > box.max.z);
+    }
+
+    _triangleOverlapsBox(index, box) {
+        const p = this.positions, o = index * 9;
+        return !(Math.max(p[o],     p[o + 3], p[o + 6]) < box.min.x ||
+                 Math.min(p[o],     p[o + 3], p[o + 6]) > box.max.x ||
+                 Math.max(p[o + 1], p[o + 4], p[o + 7]) < box.min.y ||
+                 Math.min(p[o + 1], p[o + 4], p[o + 7]) > box.max.y ||
+                 Math.max(p[o + 2], p[o + 5], p[o + 8]) < box.min.z ||
+                 Math.min(p[o + 2], p[o + 5], p[o + 8]) > box.max.z);
+    }
+}
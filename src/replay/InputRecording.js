@@ -0,0 +1,212 @@
+// src/viewer/replay/InputRecording.js
+
+/**
+ * Input recordings (`.replay` files): the control state of every fixed simulation step,
+ * plus what is needed to rebuild the run it drove. Feeding the steps back into the same
+ * world, character and seed reproduces the run exactly.
+ *
+ * Laid out like a `.world` file (see loader/WorldFormat.js), little-endian throughout:
+ *
+ *   Header   magic 'BULR' (uint32) · format version (uint32) · total length in bytes (uint32)
+ *   Chunks   length (uint32) · type (uint32) · data, padded to a multiple of 4 bytes
+ *
+ * Chunks:
+ *   'JSON'   UTF-8 metadata, padded with spaces. Required, and always first.
+ *   'TICK'   One STEP_SIZE-byte record per step. Required.
+ *
+ * Metadata:
+ *   worldUrl      The world the run was recorded in.
+ *   character     `{ id, url, animationGraph }` of the character played.
+ *   seed          The viewer's random seed (star field, random character pick).
+ *   movementMode  The Player's MovementMode.
+ *   stepRate      Simulation steps per second.
+ *   steps         How many steps were recorded.
+ *
+ * Each step stores the buttons as bits (in REPLAY_BUTTONS order), the movement stick as
+ * two int8s, and the camera's azimuth and polar angles as float32s. Values are quantised
+ * while recording and the simulation is fed the quantised ones, so a replay sees exactly
+ * what the original run did.
+ */
+
+export const REPLAY_MAGIC = 0x524c5542;         // 'BULR'
+export const REPLAY_VERSION = 1;
+const CHUNK_TYPE_JSON = 0x4e4f534a;             // 'JSON'
+const CHUNK_TYPE_TICK = 0x4b434954;             // 'TICK'
+
+const HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const STEP_SIZE = 11;   // buttons · moveX · moveY · azimuth · polar
+
+/** The controls that reach the simulation, in bit order. */
+export const REPLAY_BUTTONS = ['forward', 'backward', 'left', 'right', 'jump', 'interact', 'sprint'];
+
+/** @returns {boolean} Whether the buffer starts like a `.replay` file. */
+export function isReplayFile(data) {
+    return data.byteLength >= HEADER_LENGTH && new DataView(data).getUint32(0, true) === REPLAY_MAGIC;
+}
+
+/**
+ * Captures one step at a time. Use `record` in place of the live controls each step.
+ */
+export class InputRecorder {
+    /** @param {object} metadata See the file description; `steps` is filled in. */
+    constructor(metadata) {
+        this.metadata = metadata;
+        this.steps = 0;
+        this.ended = false; // Set once the run has been interrupted; later steps aren't recorded.
+        this._bytes = new Uint8Array(STEP_SIZE * 60 * 60); // A minute at 60 Hz; grows as needed.
+    }
+
+    /**
+     * Stores one step.
+     * @param {object} controls The live control state.
+     * @param {number} azimuth The camera azimuth the step will use.
+     * @param {number} polar The camera polar angle.
+     * @returns {object} The step as recorded: control state plus `azimuth`/`polar`. Feed
+     *          this to the simulation rather than the live values.
+     */
+    record(controls, azimuth, polar) {
+        if ((this.steps + 1) * STEP_SIZE > this._bytes.byteLength) {
+            const bytes = new Uint8Array(this._bytes.byteLength * 2);
+            bytes.set(this._bytes);
+            this._bytes = bytes;
+        }
+        let buttons = 0;
+        REPLAY_BUTTONS.forEach((name, bit) => {
+            if (controls[name]) buttons |= 1 << bit;
+        });
+        const view = new DataView(this._bytes.buffer, this.steps * STEP_SIZE, STEP_SIZE);
+        view.setUint8(0, buttons);
+        view.setInt8(1, quantizeAxis(controls.moveX));
+        view.setInt8(2, quantizeAxis(controls.moveY));
+        view.setFloat32(3, azimuth, true);
+        view.setFloat32(7, polar, true);
+        this.steps++;
+        return readStep(view);
+    }
+
+    /** @returns {ArrayBuffer} The `.replay` file. */
+    finish() {
+        return encodeReplay({
+            metadata: { ...this.metadata, steps: this.steps },
+            steps: this._bytes.subarray(0, this.steps * STEP_SIZE),
+        });
+    }
+}
+
+/**
+ * Plays a recording back one step at a time.
+ */
+export class InputReplayer {
+    /** @param {ArrayBuffer} data A `.replay` file. */
+    constructor(data) {
+        const { metadata, steps } = decodeReplay(data);
+        this.metadata = metadata;
+        this.steps = steps.byteLength / STEP_SIZE;
+        this.step = 0;
+        this._steps = steps;
+    }
+
+    /** @returns {boolean} Whether every step has been played. */
+    get done() {
+        return this.step >= this.steps;
+    }
+
+    /** @returns {object|null} The next step (as InputRecorder.record returns it), or null at the end. */
+    next() {
+        if (this.done) return null;
+        const offset = this._steps.byteOffset + this.step * STEP_SIZE;
+        this.step++;
+        return readStep(new DataView(this._steps.buffer, offset, STEP_SIZE));
+    }
+}
+
+/**
+ * Splits a `.replay` file into its parts.
+ * @param {ArrayBuffer} data
+ * @returns {{version: number, metadata: object, steps: Uint8Array}}
+ */
+export function decodeReplay(data) {
+    if (!isReplayFile(data)) throw new Error('[InputRecording] Not a .replay file.');
+    const view = new DataView(data);
+    const version = view.getUint32(4, true);
+    const length = view.getUint32(8, true);
+    if (version > REPLAY_VERSION) {
+        throw new Error(`[InputRecording] .replay version ${version} is newer than this viewer supports (${REPLAY_VERSION}).`);
+    }
+    if (length > data.byteLength) throw new Error('[InputRecording] The .replay file is truncated.');
+
+    let metadata = null;
+    let steps = null;
+    let offset = HEADER_LENGTH;
+    while (offset + CHUNK_HEADER_LENGTH <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const start = offset + CHUNK_HEADER_LENGTH;
+        if (start + chunkLength > length) throw new Error('[InputRecording] A chunk runs past the end of the file.');
+
+        if (chunkType === CHUNK_TYPE_JSON && metadata === null) {
+            metadata = JSON.parse(new TextDecoder().decode(new Uint8Array(data, start, chunkLength)));
+        } else if (chunkType === CHUNK_TYPE_TICK && steps === null) {
+            steps = new Uint8Array(data, start, chunkLength);
+        }
+        offset = start + chunkLength;
+    }
+
+    if (metadata === null) throw new Error('[InputRecording] The .replay file has no metadata chunk.');
+    if (steps === null) throw new Error('[InputRecording] The .replay file has no step chunk.');
+    // The step chunk is padded; the metadata says how many steps it really holds.
+    return { version, metadata, steps: steps.subarray(0, metadata.steps * STEP_SIZE) };
+}
+
+/**
+ * Packs metadata and raw steps into a `.replay` file; the inverse of `decodeReplay`.
+ * @param {{metadata: object, steps: Uint8Array}} replay
+ * @returns {ArrayBuffer}
+ */
+export function encodeReplay({ metadata, steps }) {
+    const json = new TextEncoder().encode(JSON.stringify(metadata));
+    const jsonLength = padded(json.byteLength);
+    const stepsLength = padded(steps.byteLength);
+    const length = HEADER_LENGTH + CHUNK_HEADER_LENGTH + jsonLength + CHUNK_HEADER_LENGTH + stepsLength;
+
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, REPLAY_MAGIC, true);
+    view.setUint32(4, REPLAY_VERSION, true);
+    view.setUint32(8, length, true);
+
+    let offset = HEADER_LENGTH;
+    view.setUint32(offset, jsonLength, true);
+    view.setUint32(offset + 4, CHUNK_TYPE_JSON, true);
+    offset += CHUNK_HEADER_LENGTH;
+    bytes.fill(0x20, offset, offset + jsonLength);
+    bytes.set(json, offset);
+    offset += jsonLength;
+
+    view.setUint32(offset, stepsLength, true);
+    view.setUint32(offset + 4, CHUNK_TYPE_TICK, true);
+    bytes.set(steps, offset + CHUNK_HEADER_LENGTH);
+    return bytes.buffer;
+}
+
+function readStep(view) {
+    const buttons = view.getUint8(0);
+    const step = {};
+    REPLAY_BUTTONS.forEach((name, bit) => {
+        step[name] = (buttons & (1 << bit)) !== 0;
+    });
+    step.moveX = view.getInt8(1) / 127;
+    step.moveY = view.getInt8(2) / 127;
+    step.azimuth = view.getFloat32(3, true);
+    step.polar = view.getFloat32(7, true);
+    return step;
+}
+
+function quantizeAxis(value = 0) {
+    return Math.round(Math.max(-1, Math.min(1, value)) * 127);
+}
+
+function padded(length) {
+    return (length + 3) & ~3;
+}
@@ -0,0 +1,54 @@
+// src/utils/EventEmitter.js
+
+/**
+ * A minimal synchronous event emitter.
+ * Listener errors are logged rather than thrown, so one bad handler can't stop
+ * the game loop or the other listeners.
+ */
+export class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * @param {string} type
+     * @param {function} listener
+     * @returns {function(): void} Call to unsubscribe.
+     */
+    on(type, listener) {
+        if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+        this._listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this._listeners.get(type)?.delete(listener);
+    }
+
+    /** Like `on`, but the listener is removed after its first call. */
+    once(type, listener) {
+        const wrapper = (...args) => {
+            this.off(type, wrapper);
+            listener(...args);
+        };
+        return this.on(type, wrapper);
+    }
+
+    emit(type, ...args) {
+        const listeners = this._listeners.get(type);
+        if (!listeners?.size) return;
+        for (const listener of [...listeners]) {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`[EventEmitter] A '${type}' listener threw:`, error);
+            }
+        }
+    }
+
+    /** Removes every listener, or every listener of one type. */
+    removeAllListeners(type) {
+        if (type === undefined) this._listeners.clear();
+        else this._listeners.delete(type);
+    }
+}
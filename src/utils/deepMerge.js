@@ -0,0 +1,49 @@
+// src/utils/deepMerge.js
+
+/**
+ * Returns a copy of `base` with `overrides` merged over it, recursing into plain objects.
+ * Arrays and other values in `overrides` replace the base value outright.
+ * Neither argument is modified.
+ * @param {object} base
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+export function deepMerge(base, overrides) {
+    const result = { ...base };
+    if (!isPlainObject(overrides)) return result;
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === undefined) continue;
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+/**
+ * The inverse of `deepMerge`: returns just the parts of `value` that differ from `base`,
+ * so that `deepMerge(base, diffObjects(base, value))` rebuilds `value`.
+ * @param {object} base
+ * @param {object} value
+ * @returns {object|undefined} undefined when nothing differs.
+ */
+export function diffObjects(base, value) {
+    const result = {};
+    for (const [key, current] of Object.entries(value)) {
+        const diff = isPlainObject(current) && isPlainObject(base?.[key])
+            ? diffObjects(base[key], current)
+            : (sameValue(base?.[key], current) ? undefined : current);
+        if (diff !== undefined) result[key] = diff;
+    }
+    return Object.keys(result).length ? result : undefined;
+}
+
+function sameValue(a, b) {
+    // Arrays are replaced whole by deepMerge, so compare them whole.
+    return a === b || (Array.isArray(a) && Array.isArray(b) && JSON.stringify(a) === JSON.stringify(b));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -0,0 +1,21 @@
+// src/utils/disposeObject.js
+
+/**
+ * Frees the GPU resources of everything under `root`: geometries, materials,
+ * and the textures those materials reference. The object itself is not removed
+ * from its parent.
+ * @param {THREE.Object3D} root
+ */
+export function disposeObject(root) {
+    root.traverse(node => {
+        if (!node.isMesh && !node.isPoints && !node.isLine) return;
+        node.geometry?.dispose();
+        for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+            if (!material) continue;
+            for (const value of Object.values(material)) {
+                if (value?.isTexture) value.dispose();
+            }
+            material.dispose();
+        }
+    });
+}
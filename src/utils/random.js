@@ -0,0 +1,23 @@
+// src/utils/random.js
+
+/**
+ * A seeded pseudo-random generator (mulberry32): the same seed always gives the same
+ * sequence, which replays rely on. Not for anything security-related.
+ * @param {number} seed Any number; only its low 32 bits are used.
+ * @returns {function(): number} Returns floats in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** @returns {number} A fresh unsigned 32-bit seed. */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
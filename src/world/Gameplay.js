@@ -0,0 +1,72 @@
+// src/world/Gameplay.js
+
+import * as THREE from 'three';
+import { CollisionWorld } from '../physics/CollisionWorld.js';
+import { collectMarkers } from './WorldMarkers.js';
+import { SpawnSystem } from './SpawnSystem.js';
+import { TriggerSystem } from './TriggerSystem.js';
+
+/**
+ * The gameplay shared by the viewer (GameViewer.js) and headless runs
+ * (headless/HeadlessSimulation.js), so both build a map and step it the same way.
+ */
+
+/** Gameplay and physics run at this fixed rate; the viewer interpolates rendering between steps. */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/**
+ * Builds everything gameplay derives from a loaded map: markers, trigger volumes, the
+ * collision data and the spawn system. Add the map to the scene first.
+ * @param {THREE.Object3D} map The map's root object.
+ * @param {object} [options]
+ * @param {object} [options.metadata] The `.world` metadata, if the map came in one.
+ * @param {Array<string|RegExp>} [options.collisionExclude] See CollisionWorld.
+ * @param {boolean} [options.dropIn] See SpawnSystem.
+ * @param {import('../utils/EventEmitter.js').EventEmitter} [options.events] Gets the trigger
+ *        events as 'triggerenter', 'triggerstay', 'triggerexit' and 'interact'.
+ * @returns {{triggerSystem: TriggerSystem, mapCollider: CollisionWorld, spawnSystem: SpawnSystem,
+ *          mapCenter: THREE.Vector3}}
+ */
+export function setupGameplay(map, { metadata = {}, collisionExclude, dropIn, events } = {}) {
+    // Markers and triggers first: they hide their meshes and keep them out of the collision data.
+    const markers = collectMarkers(map);
+    if (metadata.spawn) {
+        // The world's own spawn point wins over any markers in the map.
+        const [x, y, z] = metadata.spawn.position;
+        markers.spawns.unshift({ name: 'world', position: new THREE.Vector3(x, y, z), rotationY: metadata.spawn.rotationY ?? Math.PI });
+    }
+    const triggerSystem = new TriggerSystem(map);
+    if (events) {
+        triggerSystem.on('enter', trigger => events.emit('triggerenter', trigger));
+        triggerSystem.on('stay', (trigger, delta) => events.emit('triggerstay', trigger, delta));
+        triggerSystem.on('exit', trigger => events.emit('triggerexit', trigger));
+        triggerSystem.on('interact', trigger => events.emit('interact', trigger));
+    }
+    // Bake the collision data once; every ground check and wall query goes through it.
+    const mapCollider = new CollisionWorld(map, { exclude: collisionExclude });
+    const spawnSystem = new SpawnSystem(markers, mapCollider.bounds, { dropIn });
+    const mapCenter = new THREE.Box3().setFromObject(map).getCenter(new THREE.Vector3());
+    return { triggerSystem, mapCollider, spawnSystem, mapCenter };
+}
+
+/**
+ * Advances gameplay by one fixed step: the player, checkpoints, triggers and the end of
+ * the camera's drop-in. Any part may still be missing while loading.
+ * @param {object} world `{ player, gameCamera, mapCollider, spawnSystem, triggerSystem }`.
+ * @param {object} controls The control state for this step.
+ * @param {number} step The step length in seconds.
+ * @returns {boolean} Whether the player landed from the cinematic drop-in this step.
+ */
+export function stepGameplay({ player, gameCamera, mapCollider, spawnSystem, triggerSystem }, controls, step) {
+    if (!player) return false;
+    player.update(step, controls, mapCollider, gameCamera?.azimuth);
+    if (spawnSystem) {
+        const checkpoint = spawnSystem.update(player.getFeetPosition());
+        if (checkpoint) player.setSpawnPoint(checkpoint.position, checkpoint.rotationY);
+    }
+    if (triggerSystem) {
+        triggerSystem.update(player.getFeetPosition(), player.collider.radius, player.collider.height,
+            controls.interact, step);
+    }
+    return Boolean(gameCamera?.checkLanding(player.timeSinceGrounded < 0.2 || player.state.sliding));
+}
@@ -0,0 +1,79 @@
+// src/world/SpawnSystem.js
+
+import * as THREE from 'three';
+
+/*───────────────────────────────
+ * SPAWN TUNING CONSTANTS
+ *───────────────────────────────*/
+const DROP_IN_ALTITUDE  = 240; // How far above the map's top the cinematic drop-in starts.
+const KILL_PLANE_MARGIN = 50;  // Default kill plane sits this far below the map's lowest point.
+const TOUCH_PADDING     = 0.25;
+
+/**
+ * Decides where the player spawns and respawns.
+ *
+ * The first spawn marker (see WorldMarkers.js) is the initial spawn; without one the
+ * player starts over the centre of the map. With `dropIn` the player falls in from high
+ * above the spawn for the cinematic intro; it defaults to on only when the map has no
+ * spawn marker, since a marker under a roof would otherwise land the player on the roof.
+ * Touching a checkpoint makes it the respawn point until `reset()`.
+ */
+export class SpawnSystem {
+    /**
+     * @param {object} markers The result of `collectMarkers`.
+     * @param {THREE.Box3} mapBounds Bounds of the map's collision geometry.
+     * @param {object} [options]
+     * @param {boolean} [options.dropIn] Force the cinematic drop-in on or off.
+     */
+    constructor(markers, mapBounds, options = {}) {
+        this.checkpoints = markers.checkpoints;
+        this.mapBounds = mapBounds.clone();
+        this.killPlaneY = markers.killPlaneY ?? mapBounds.min.y - KILL_PLANE_MARGIN;
+
+        const marker = markers.spawns[0];
+        this.dropIn = options.dropIn ?? !marker;
+        const center = mapBounds.getCenter(new THREE.Vector3());
+        this.spawn = {
+            position: marker ? marker.position.clone() : new THREE.Vector3(center.x, mapBounds.max.y, center.z),
+            rotationY: marker ? marker.rotationY : Math.PI,
+        };
+        // The spawn as placed in the world, before any drop-in lift; null without a marker.
+        this.markerSpawn = marker ? { position: marker.position.clone(), rotationY: marker.rotationY } : null;
+        if (this.dropIn) this.spawn.position.y = mapBounds.max.y + DROP_IN_ALTITUDE;
+
+        this.activeCheckpoint = null;
+        this._touchBox = new THREE.Box3();
+    }
+
+    /** @returns {{position: THREE.Vector3, rotationY: number}} Where the player should respawn now. */
+    get respawnPoint() {
+        return this.activeCheckpoint || this.spawn;
+    }
+
+    /**
+     * Activates any checkpoint the player is touching.
+     * @param {THREE.Vector3} feetPosition
+     * @returns {object|null} The checkpoint that just became active, if any.
+     */
+    update(feetPosition) {
+        for (const checkpoint of this.checkpoints) {
+            if (checkpoint === this.activeCheckpoint) continue;
+            this._touchBox.copy(checkpoint.box).expandByScalar(TOUCH_PADDING);
+            if (!this._touchBox.containsPoint(feetPosition)) continue;
+
+            // Ordered checkpoints only move forward; walking back through an old one is ignored.
+            const current = this.activeCheckpoint;
+            if (current && current.order !== null && checkpoint.order !== null && checkpoint.order < current.order) continue;
+
+            this.activeCheckpoint = checkpoint;
+            console.log(`[SpawnSystem] Checkpoint '${checkpoint.id}' reached.`);
+            return checkpoint;
+        }
+        return null;
+    }
+
+    /** Forgets checkpoint progress; respawns go back to the initial spawn. */
+    reset() {
+        this.activeCheckpoint = null;
+    }
+}
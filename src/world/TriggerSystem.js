@@ -0,0 +1,139 @@
+// src/world/TriggerSystem.js
+
+import * as THREE from 'three';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { ownBounds } from './WorldMarkers.js';
+
+/*───────────────────────────────
+ * TRIGGER CONVENTIONS
+ *───────────────────────────────*/
+const TRIGGER_RADIUS = 1.0; // Half-size of the volume around triggers placed as empties.
+
+/**
+ * Turns map nodes tagged with `trigger` in their glTF extras into invisible volumes
+ * and reports the player moving through them.
+ *
+ * `trigger: "door1"` names the volume (`trigger: true` uses the node's name). A mesh
+ * trigger uses its own geometry's bounds; any other node (an empty or a group) gets a cube
+ * of `radius` (extras) or TRIGGER_RADIUS around its origin. Add `interact: true` for zones
+ * that wait for the interact key. All other extras are passed through as `trigger.data`
+ * for level logic. A mesh trigger is hidden and flagged `collider: false`, so build this
+ * *before* the map's CollisionWorld; meshes parented under a trigger stay solid and
+ * visible, so tagging a door group leaves the door in place.
+ *
+ * Events, each called with the trigger `{ id, name, interactive, data, object, box }`:
+ *  - 'enter'    the player started overlapping the volume.
+ *  - 'stay'     every later tick while overlapping; also gets the step length.
+ *  - 'exit'     the player left the volume (or it was removed by `clear()`).
+ *  - 'interact' the interact key went down inside an interactive zone; only the
+ *               zone whose centre is closest to the player fires.
+ */
+export class TriggerSystem extends EventEmitter {
+    /**
+     * @param {THREE.Object3D} root The map's root object.
+     */
+    constructor(root) {
+        super();
+        this.triggers = _collectTriggers(root);
+        this.active = new Set();
+
+        this._interactHeld = false;
+        this._playerBox = new THREE.Box3();
+        this._center = new THREE.Vector3();
+
+        if (this.triggers.length) console.log(`[TriggerSystem] Found ${this.triggers.length} trigger volume(s).`);
+    }
+
+    /**
+     * Checks the player's bounds against every volume. Call once per fixed step.
+     * @param {THREE.Vector3} feetPosition
+     * @param {number} radius The player's horizontal radius.
+     * @param {number} height The player's height.
+     * @param {boolean} interactDown Whether the interact control is held.
+     * @param {number} delta The step length in seconds.
+     */
+    update(feetPosition, radius, height, interactDown, delta) {
+        this._playerBox.min.set(feetPosition.x - radius, feetPosition.y, feetPosition.z - radius);
+        this._playerBox.max.set(feetPosition.x + radius, feetPosition.y + height, feetPosition.z + radius);
+
+        for (const trigger of this.triggers) {
+            const inside = trigger.box.intersectsBox(this._playerBox);
+            const wasInside = this.active.has(trigger);
+            if (inside && !wasInside) {
+                this.active.add(trigger);
+                this.emit('enter', trigger);
+            } else if (inside) {
+                this.emit('stay', trigger, delta);
+            } else if (wasInside) {
+                this.active.delete(trigger);
+                this.emit('exit', trigger);
+            }
+        }
+
+        // Fire on the press, not while the key is held.
+        const pressed = interactDown && !this._interactHeld;
+        this._interactHeld = interactDown;
+        if (!pressed) return;
+
+        let closest = null, closestDistance = Infinity;
+        for (const trigger of this.active) {
+            if (!trigger.interactive) continue;
+            const distance = trigger.box.getCenter(this._center).distanceToSquared(feetPosition);
+            if (distance < closestDistance) {
+                closest = trigger;
+                closestDistance = distance;
+            }
+        }
+        if (closest) this.emit('interact', closest);
+    }
+
+    /** @returns {boolean} Whether the player is inside the trigger with this id. */
+    isInside(id) {
+        for (const trigger of this.active) {
+            if (trigger.id === id) return true;
+        }
+        return false;
+    }
+
+    /** Exits every volume the player is in, e.g. before the map is torn down. */
+    clear() {
+        for (const trigger of [...this.active]) {
+            this.active.delete(trigger);
+            this.emit('exit', trigger);
+        }
+        this._interactHeld = false;
+    }
+}
+
+function _collectTriggers(root) {
+    root.updateMatrixWorld(true);
+    const triggers = [];
+
+    root.traverse((node) => {
+        const extras = node.userData || {};
+        if (extras.trigger === undefined || extras.trigger === false || node === root) return;
+
+        const box = ownBounds(node);
+        if (box.isEmpty()) {
+            const position = node.getWorldPosition(new THREE.Vector3());
+            box.setFromCenterAndSize(position, new THREE.Vector3().setScalar((extras.radius ?? TRIGGER_RADIUS) * 2));
+        }
+
+        const { trigger, interact, ...data } = extras;
+        triggers.push({
+            id: typeof trigger === 'string' || typeof trigger === 'number' ? String(trigger) : node.name,
+            name: node.name,
+            interactive: interact === true,
+            data,
+            object: node,
+            box,
+        });
+
+        if (node.isMesh) {
+            node.visible = false;
+            node.userData.collider = false;
+        }
+    });
+
+    return triggers;
+}
@@ -0,0 +1,103 @@
+// src/world/WorldMarkers.js
+
+import * as THREE from 'three';
+
+/*───────────────────────────────
+ * MARKER CONVENTIONS
+ *───────────────────────────────*/
+// The prefix must end the word: 'spawn', 'Spawn.001', 'checkpoint_2', but not 'SpawnerTower'.
+const SPAWN_NAME       = /^spawn(?![a-z])/i;
+const CHECKPOINT_NAME  = /^checkpoint(?![a-z])/i;
+const KILL_PLANE_NAME  = /^kill_?plane(?![a-z])/i;
+const CHECKPOINT_RADIUS = 2.0; // Trigger radius for checkpoints placed as empties.
+
+/**
+ * Reads gameplay markers out of a loaded map.
+ *
+ * A node is a marker when its name is `spawn`, `checkpoint` or `killplane`, optionally
+ * followed by a non-letter suffix (`spawn_2`, `Checkpoint.001`), or when its glTF extras
+ * contain `spawn: true`, `checkpoint: <id>` or `killPlane: true`. Markers may be empties
+ * or meshes. A mesh marker is hidden and flagged `collider: false` so the collision build
+ * skips it, so call this *before* building the map's CollisionWorld. Only the marker node
+ * itself is affected; meshes parented under it stay solid and visible.
+ *
+ *  - Spawns: the player's feet go on the node's origin, facing the node's +Z axis.
+ *  - Checkpoints: touching the marker mesh's bounds (or `radius` around an empty, from the
+ *    extras or CHECKPOINT_RADIUS) makes it the respawn point. Optional `order` extras
+ *    stop earlier checkpoints from overriding later ones.
+ *  - Kill plane: the node's height. The scene extras may also give `killPlane: <y>`.
+ *
+ * @param {THREE.Object3D} root The map's root object.
+ * @returns {{spawns: object[], checkpoints: object[], killPlaneY: (number|undefined)}}
+ */
+export function collectMarkers(root) {
+    root.updateMatrixWorld(true);
+    const spawns = [];
+    const checkpoints = [];
+    let killPlaneY = typeof root.userData.killPlane === 'number' ? root.userData.killPlane : undefined;
+
+    root.traverse((node) => {
+        const extras = node.userData || {};
+        const isSpawn = extras.spawn === true || SPAWN_NAME.test(node.name);
+        const isCheckpoint = (extras.checkpoint !== undefined && extras.checkpoint !== false) || CHECKPOINT_NAME.test(node.name);
+        const isKillPlane = extras.killPlane === true || KILL_PLANE_NAME.test(node.name);
+        if (!isSpawn && !isCheckpoint && !isKillPlane) return;
+        if (node === root) return;
+
+        const position = node.getWorldPosition(new THREE.Vector3());
+        const rotationY = _worldYaw(node);
+
+        if (isSpawn) {
+            spawns.push({ name: node.name, position, rotationY });
+        } else if (isCheckpoint) {
+            const volume = ownBounds(node);
+            const hasMesh = !volume.isEmpty();
+            const box = hasMesh
+                ? volume
+                : volume.setFromCenterAndSize(position, new THREE.Vector3().setScalar((extras.radius ?? CHECKPOINT_RADIUS) * 2));
+            const center = box.getCenter(new THREE.Vector3());
+            checkpoints.push({
+                id: typeof extras.checkpoint === 'string' || typeof extras.checkpoint === 'number' ? String(extras.checkpoint) : node.name,
+                order: extras.order ?? null,
+                // A volume respawns the player on its floor, in its middle.
+                position: hasMesh ? new THREE.Vector3(center.x, box.min.y, center.z) : position,
+                rotationY,
+                box,
+            });
+        } else {
+            killPlaneY = killPlaneY === undefined ? position.y : Math.max(killPlaneY, position.y);
+        }
+
+        if (node.isMesh) {
+            node.visible = false;
+            node.userData.collider = false;
+        }
+    });
+
+    if (spawns.length || checkpoints.length) {
+        console.log(`[WorldMarkers] Found ${spawns.length} spawn(s), ${checkpoints.length} checkpoint(s).`);
+    }
+    return { spawns, checkpoints, killPlaneY };
+}
+
+/**
+ * The node's own geometry in world space, without its children; empty for empties.
+ * Call `updateMatrixWorld` on the map first.
+ * @param {THREE.Object3D} node
+ * @returns {THREE.Box3}
+ */
+export function ownBounds(node) {
+    const box = new THREE.Box3();
+    if (!node.isMesh) return box;
+    if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+    return box.copy(node.geometry.boundingBox).applyMatrix4(node.matrixWorld);
+}
+
+const _quaternion = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+
+function _worldYaw(node) {
+    node.getWorldQuaternion(_quaternion);
+    _forward.set(0, 0, 1).applyQuaternion(_quaternion);
+    return Math.atan2(_forward.x, _forward.z);
+}
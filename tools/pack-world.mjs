@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// tools/pack-world.mjs
+
+/*───────────────────────────────────────────────────────────
+ *  Packs generated maps into .world files (see src/loader/WorldFormat.js).
+ *
+ *    node tools/pack-world.mjs [options] <map.glb|map.world>...
+ *
+ *  Each map's metadata is built up from, in increasing priority:
+ *    1. the metadata already inside an input .world file,
+ *    2. --meta <file.json>, shared by every map,
+ *    3. a sidecar <map>.json next to the map, if there is one,
+ *    4. --name, --character, --spawn and --graphics.
+ *  Output goes next to each input (or into --out) as <map>.world.
+ *───────────────────────────────────────────────────────────*/
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { decodeWorld, encodeWorld, isWorldFile } from '../src/loader/WorldFormat.js';
+import { deepMerge } from '../src/utils/deepMerge.js';
+
+const USAGE = `Usage: node tools/pack-world.mjs [options] <map.glb|map.world>...
+
+Options:
+  -o, --out <dir>          Write the .world files here instead of next to each map.
+      --meta <file.json>   Metadata for every map.
+      --name <name>        Display name (only sensible with a single map).
+      --character <id|url> Character registry id or GLB URL.
+      --spawn <x,y,z[,rotationY]>
+                           Spawn point for the player's feet.
+      --graphics <file.json>
+                           GraphicsConfig overrides.
+  -h, --help               Show this help.`;
+
+async function main() {
+    const { values: args, positionals: inputs } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            meta: { type: 'string' },
+            name: { type: 'string' },
+            character: { type: 'string' },
+            spawn: { type: 'string' },
+            graphics: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (args.help || !inputs.length) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const shared = args.meta ? await readJson(args.meta) : {};
+    const flags = {
+        name: args.name,
+        character: args.character,
+        spawn: args.spawn && parseSpawn(args.spawn),
+        graphics: args.graphics && await readJson(args.graphics),
+    };
+    if (args.out) await mkdir(args.out, { recursive: true });
+
+    let failed = 0;
+    for (const input of inputs) {
+        try {
+            const output = await packOne(input, { outDir: args.out, shared, flags });
+            console.log(`[pack-world] ${input} → ${output}`);
+        } catch (error) {
+            failed++;
+            console.error(`[pack-world] ${input}: ${error.message}`);
+        }
+    }
+    return failed ? 1 : 0;
+}
+
+async function packOne(input, { outDir, shared, flags }) {
+    const data = toArrayBuffer(await readFile(input));
+    let glb = data;
+    let metadata = {};
+    if (isWorldFile(data)) ({ glb, metadata } = decodeWorld(data));
+
+    const base = input.replace(/\.(glb|world)$/i, '');
+    const sidecar = `${base}.json`;
+    metadata = deepMerge(metadata, shared);
+    if (existsSync(sidecar)) metadata = deepMerge(metadata, await readJson(sidecar));
+    metadata = deepMerge(metadata, flags);
+
+    const output = path.join(outDir ?? path.dirname(input), `${path.basename(base)}.world`);
+    await writeFile(output, new Uint8Array(encodeWorld({ metadata, glb })));
+    return output;
+}
+
+function parseSpawn(text) {
+    const numbers = text.split(',').map(Number);
+    if ((numbers.length !== 3 && numbers.length !== 4) || numbers.some(Number.isNaN)) {
+        throw new Error(`--spawn expects x,y,z or x,y,z,rotationY, got '${text}'.`);
+    }
+    const [x, y, z, rotationY] = numbers;
+    return rotationY === undefined ? { position: [x, y, z] } : { position: [x, y, z], rotationY };
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function toArrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`[pack-world] ${error.message}`);
+        process.exitCode = 1;
+    },
+);
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// tools/simulate.mjs
+
+/*───────────────────────────────────────────────────────────
+ *  Plays maps headless (see src/headless/HeadlessSimulation.js) and reports
+ *  where the player ends up, e.g. to check generated maps in CI.
+ *
+ *    node tools/simulate.mjs [options] <map.glb|map.world>...
+ *
+ *  Each map is loaded, the player spawned and the simulation run for --seconds
+ *  with --script's input (or a --replay). One JSON report per map is printed
+ *  to stdout, one per line; everything else, library logging included, goes
+ *  to stderr. The exit code is 1 if any map fails to load or misses an
+ *  --expect-* check.
+ *───────────────────────────────────────────────────────────*/
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadHeadlessSimulation } from '../src/headless/node.js';
+
+const USAGE = `Usage: node tools/simulate.mjs [options] <map.glb|map.world>...
+
+Options:
+      --seconds <s>        How long to run (default 10). Ignored with --replay.
+      --script <file.json> Input script: [{ "time": 0, "controls": { "forward": true } }, …].
+      --replay <file>      Play a .replay recording instead of a script.
+      --character <id|url> Character registry id or GLB URL (default: the world's, else random).
+      --seed <n>           Random seed, for the random character pick.
+      --movement-mode <m>  'tank' or 'camera'.
+      --drop-in            Start with the viewer's cinematic drop-in from 240 m up (off by
+                           default, so --expect-landing times the landing itself).
+      --expect-landing <s> Fail unless the player first lands within this many seconds.
+      --expect-no-respawn  Fail if the player falls below the kill plane.
+  -h, --help               Show this help.`;
+
+async function main() {
+    // The viewer's modules log progress with console.log; keep stdout for the reports.
+    console.log = console.error;
+    const { values: args, positionals: inputs } = parseArgs({
+        allowPositionals: true,
+        options: {
+            seconds: { type: 'string', default: '10' },
+            script: { type: 'string' },
+            replay: { type: 'string' },
+            character: { type: 'string' },
+            seed: { type: 'string' },
+            'movement-mode': { type: 'string' },
+            'drop-in': { type: 'boolean' },
+            'expect-landing': { type: 'string' },
+            'expect-no-respawn': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (args.help || !inputs.length) {
+        process.stdout.write(`${USAGE}\n`);
+        return args.help ? 0 : 1;
+    }
+
+    const seconds = parseNumber(args.seconds, '--seconds');
+    const expectLanding = args['expect-landing'] && parseNumber(args['expect-landing'], '--expect-landing');
+    const script = args.script ? JSON.parse(await readFile(args.script, 'utf8')) : [];
+    const replay = args.replay && toArrayBuffer(await readFile(args.replay));
+    const options = {
+        character: args.character,
+        seed: args.seed && parseNumber(args.seed, '--seed'),
+        movementMode: args['movement-mode'],
+        dropIn: args['drop-in'],
+    };
+
+    let failed = 0;
+    for (const input of inputs) {
+        try {
+            const report = await simulateOne(input, { seconds, script, replay, options });
+            const failures = [];
+            if (expectLanding !== undefined && !(report.landedAt !== null && report.landedAt <= expectLanding)) {
+                failures.push(`did not land within ${expectLanding} s`);
+            }
+            if (args['expect-no-respawn'] && report.respawns > 0) {
+                failures.push(`fell below the kill plane ${report.respawns} time(s)`);
+            }
+            process.stdout.write(`${JSON.stringify({ map: input, ok: !failures.length, failures, ...report })}\n`);
+            if (failures.length) failed++;
+        } catch (error) {
+            failed++;
+            console.error(`[simulate] ${input}: ${error.message}`);
+        }
+    }
+    return failed ? 1 : 0;
+}
+
+async function simulateOne(input, { seconds, script, replay, options }) {
+    const sim = await loadHeadlessSimulation(input, options);
+    try {
+        if (replay) sim.replay(replay);
+        else sim.run(seconds, script);
+        return { character: sim.character.id, seed: sim.seed, ...sim.getSnapshot() };
+    } finally {
+        sim.dispose();
+    }
+}
+
+function parseNumber(text, flag) {
+    const value = Number(text);
+    if (Number.isNaN(value)) throw new Error(`${flag} expects a number, got '${text}'.`);
+    return value;
+}
+
+function toArrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`[simulate] ${error.message}`);
+        process.exitCode = 1;
+    },
+);